@@ -0,0 +1,198 @@
+// Small SVG charts drawn without any third-party library.
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Colours given to the series of a chart, in order.
+const CHART_COLORS = ['#dc3545', '#0d6efd', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#6c757d', '#d63384'];
+
+// Create an SVG element with the given attributes.
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+
+    Object.keys(attributes).forEach((name) => {
+        element.setAttribute(name, attributes[name]);
+    });
+
+    return element;
+}
+
+// Create an SVG text element.
+function createSvgText(text, attributes) {
+    const element = createSvgElement('text', { 'font-size': 11, fill: 'currentColor', ...attributes });
+
+    element.textContent = text;
+
+    return element;
+}
+
+// Create the root of a chart, scaling with the width of its container.
+function createChartSvg(width, height, title) {
+    const svg = createSvgElement('svg', {
+        viewBox: '0 0 ' + width + ' ' + height,
+        width: '100%',
+        role: 'img',
+        'aria-label': title
+    });
+    const titleElement = createSvgElement('title');
+
+    titleElement.textContent = title;
+    svg.appendChild(titleElement);
+
+    return svg;
+}
+
+// Shorten a label to fit under an axis.
+function shortenLabel(label, length) {
+    return label.length > length ? label.slice(0, length - 1) + '…' : label;
+}
+
+// Add a legend below a chart, one coloured swatch per series.
+function appendLegend(svg, series, y) {
+    let x = 10;
+
+    series.forEach((serie, index) => {
+        svg.appendChild(createSvgElement('rect', { x, y: y - 9, width: 10, height: 10, fill: serie.color || CHART_COLORS[index % CHART_COLORS.length] }));
+        svg.appendChild(createSvgText(serie.name, { x: x + 14, y }));
+        x += 24 + serie.name.length * 6;
+    });
+}
+
+// Draw a radar chart in a container.
+// `axes` are the labels around the chart, and each series gives one value per axis between 0 and 1 (or null).
+function drawRadarChart(container, { title, axes, series }) {
+    const size = 360;
+    const center = size / 2;
+    const radius = size / 2 - 70;
+    const svg = createChartSvg(size, size + 30, title);
+    const point = (index, value) => {
+        const angle = (Math.PI * 2 * index) / axes.length - Math.PI / 2;
+
+        return [center + Math.cos(angle) * radius * value, center + Math.sin(angle) * radius * value];
+    };
+
+    // Grid rings at every quarter, and one spoke per axis with its label.
+    [0.25, 0.5, 0.75, 1].forEach((ring) => {
+        svg.appendChild(createSvgElement('polygon', {
+            points: axes.map((axis, index) => point(index, ring).join(',')).join(' '),
+            fill: 'none',
+            stroke: '#dee2e6'
+        }));
+    });
+
+    axes.forEach((axis, index) => {
+        const [x, y] = point(index, 1);
+        const [labelX, labelY] = point(index, 1.12);
+
+        svg.appendChild(createSvgElement('line', { x1: center, y1: center, x2: x, y2: y, stroke: '#dee2e6' }));
+        svg.appendChild(createSvgText(shortenLabel(axis, 18), {
+            x: labelX,
+            y: labelY + 4,
+            'text-anchor': Math.abs(labelX - center) < 5 ? 'middle' : labelX > center ? 'start' : 'end'
+        }));
+    });
+
+    series.forEach((serie, index) => {
+        const color = serie.color || CHART_COLORS[index % CHART_COLORS.length];
+
+        svg.appendChild(createSvgElement('polygon', {
+            points: serie.values.map((value, axis) => point(axis, value === null ? 0 : value).join(',')).join(' '),
+            fill: color,
+            'fill-opacity': 0.15,
+            stroke: color,
+            'stroke-width': 2
+        }));
+    });
+
+    appendLegend(svg, series, size + 20);
+    container.replaceChildren(svg);
+}
+
+// Draw a histogram in a container: one bar per bin, labelled with its count.
+function drawHistogram(container, { title, bins, color }) {
+    const width = 220;
+    const height = 150;
+    const chartHeight = 100;
+    const svg = createChartSvg(width, height, title);
+    const maxCount = Math.max(1, ...bins.map((bin) => bin.count));
+    const barWidth = (width - 20) / bins.length;
+
+    svg.appendChild(createSvgText(shortenLabel(title, 34), { x: 10, y: 12, 'font-weight': 'bold' }));
+
+    bins.forEach((bin, index) => {
+        const barHeight = (bin.count / maxCount) * chartHeight;
+        const x = 10 + index * barWidth;
+        const y = 20 + chartHeight - barHeight;
+
+        svg.appendChild(createSvgElement('rect', {
+            x: x + 2,
+            y,
+            width: Math.max(barWidth - 4, 1),
+            height: barHeight,
+            fill: color || CHART_COLORS[0]
+        }));
+
+        if (bin.count > 0) {
+            svg.appendChild(createSvgText(bin.count, { x: x + barWidth / 2, y: y - 2, 'text-anchor': 'middle', 'font-size': 9 }));
+        }
+
+        svg.appendChild(createSvgText(bin.label, { x: x + barWidth / 2, y: 20 + chartHeight + 14, 'text-anchor': 'middle', 'font-size': 9 }));
+    });
+
+    svg.appendChild(createSvgElement('line', { x1: 10, y1: 20 + chartHeight, x2: width - 10, y2: 20 + chartHeight, stroke: '#adb5bd' }));
+    container.replaceChildren(svg);
+}
+
+// Draw a grouped bar chart in a container: one group per category, one bar per series.
+// Values are between 0 and 1 (or null when missing) and shown as percentages.
+function drawBarChart(container, { title, categories, series }) {
+    const groupWidth = Math.max(40, series.length * 14 + 12);
+    const width = Math.max(360, 50 + categories.length * groupWidth);
+    const chartHeight = 180;
+    const svg = createChartSvg(width, chartHeight + 110, title);
+    const barWidth = (groupWidth - 12) / series.length;
+
+    [0, 0.25, 0.5, 0.75, 1].forEach((tick) => {
+        const y = 10 + chartHeight * (1 - tick);
+
+        svg.appendChild(createSvgElement('line', { x1: 40, y1: y, x2: width - 10, y2: y, stroke: '#dee2e6' }));
+        svg.appendChild(createSvgText(Math.round(tick * 100) + '%', { x: 34, y: y + 4, 'text-anchor': 'end', 'font-size': 9 }));
+    });
+
+    categories.forEach((category, index) => {
+        const groupX = 46 + index * groupWidth;
+
+        series.forEach((serie, serieIndex) => {
+            const value = serie.values[index];
+
+            if (value === null || value === undefined) {
+                return;
+            }
+
+            const barHeight = value * chartHeight;
+            const bar = createSvgElement('rect', {
+                x: groupX + serieIndex * barWidth,
+                y: 10 + chartHeight - barHeight,
+                width: Math.max(barWidth - 1, 1),
+                height: barHeight,
+                fill: serie.color || CHART_COLORS[serieIndex % CHART_COLORS.length]
+            });
+            const tooltip = createSvgElement('title');
+
+            tooltip.textContent = serie.name + ' - ' + category + ': ' + Math.round(value * 100) + '%';
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+        });
+
+        const labelX = groupX + (groupWidth - 12) / 2;
+
+        svg.appendChild(createSvgText(shortenLabel(category, 16), {
+            x: labelX,
+            y: chartHeight + 22,
+            'text-anchor': 'end',
+            'font-size': 9,
+            transform: 'rotate(-40 ' + labelX + ' ' + (chartHeight + 22) + ')'
+        }));
+    });
+
+    appendLegend(svg, series, chartHeight + 100);
+    container.replaceChildren(svg);
+}
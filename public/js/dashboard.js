@@ -0,0 +1,438 @@
+// Roles allowed to manage sessions and rosters.
+const MANAGER_ROLES = ['admin', 'staff'];
+
+// Colour of the badge of each session status.
+const STATUS_STYLES = {
+    draft: 'secondary',
+    open: 'success',
+    closed: 'warning',
+    published: 'primary'
+};
+
+// Changes of status offered for each status of a session, as allowed by the server.
+// Sessions start as drafts: they have to be opened before juries can submit evaluations.
+const STATUS_ACTIONS = {
+    draft: [{ status: 'open', label: 'Open' }],
+    open: [{ status: 'closed', label: 'Close' }, { status: 'draft', label: 'Back to draft' }],
+    closed: [{ status: 'published', label: 'Publish' }, { status: 'open', label: 'Reopen' }],
+    published: [{ status: 'closed', label: 'Unpublish' }]
+};
+
+// Sessions of the campus and the one being managed.
+let dashboardSessions = [];
+let selectedSessionId = null;
+
+// Show an inline error message under a form or list.
+function showError(elementId, text) {
+    const element = document.getElementById(elementId);
+
+    element.textContent = text;
+    element.classList.remove('d-none');
+}
+
+// Hide an inline error message.
+function hideError(elementId) {
+    document.getElementById(elementId).classList.add('d-none');
+}
+
+// Show only the given sections of the page.
+function showSections(...ids) {
+    ['loginSection', 'accountSection', 'managementSection'].forEach((id) => {
+        document.getElementById(id).classList.toggle('d-none', !ids.includes(id));
+    });
+}
+
+// Call the API and return the status and body of the response.
+// A 401 means the login has expired: the login form is shown again.
+async function apiRequest(method, url, body) {
+    const options = { method, headers: {} };
+
+    if (body !== undefined) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(url, options);
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401) {
+        showLogin();
+    }
+
+    return { ok: response.ok, status: response.status, data };
+}
+
+// Run an action, reporting network failures in the given error element.
+async function withErrors(errorId, action) {
+    hideError(errorId);
+
+    try {
+        await action();
+    } catch (error) {
+        console.log('Request failed:', error);
+        showError(errorId, 'Could not reach the server. Please try again.');
+    }
+}
+
+// Build a table cell with the given text.
+function createTextCell(text) {
+    const cell = document.createElement('td');
+
+    cell.textContent = text;
+
+    return cell;
+}
+
+// Build a small delete button running the given action.
+function createDeleteButton(label, onClick) {
+    const button = document.createElement('button');
+
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-outline-danger';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = '<i class="bi bi-trash"></i>';
+    button.addEventListener('click', onClick);
+
+    return button;
+}
+
+// Show the login form.
+function showLogin() {
+    selectedSessionId = null;
+    updateUI({ loggedIn: false, campus: null });
+    showSections('loginSection');
+}
+
+// Show the dashboard of a logged-in user: session management for campus staff, a few links for everyone else.
+async function showDashboard(user) {
+    document.getElementById('accountName').textContent = user.username;
+    document.getElementById('accountRole').textContent = user.role;
+
+    if (!MANAGER_ROLES.includes(user.role)) {
+        document.getElementById('accountMessage').classList.remove('d-none');
+        showSections('accountSection');
+        return;
+    }
+
+    document.getElementById('accountMessage').classList.add('d-none');
+    showSections('accountSection', 'managementSection');
+    await withErrors('sessionError', loadSessions);
+}
+
+// Load and list the sessions of the campus.
+async function loadSessions() {
+    const { ok, data } = await apiRequest('GET', '/api/sessions');
+
+    if (!ok) {
+        showError('sessionError', data.error || 'Could not load the sessions.');
+        return;
+    }
+
+    dashboardSessions = data;
+
+    if (!dashboardSessions.some((s) => s.id === selectedSessionId)) {
+        selectedSessionId = null;
+    }
+
+    renderSessions();
+    renderRoster();
+}
+
+// List the sessions, highlighting the selected one.
+function renderSessions() {
+    const sessionList = document.getElementById('sessionList');
+
+    sessionList.replaceChildren();
+    document.getElementById('sessionEmpty').classList.toggle('d-none', dashboardSessions.length > 0);
+
+    dashboardSessions.forEach((session) => {
+        const item = document.createElement('div');
+        const select = document.createElement('button');
+        const status = document.createElement('span');
+        const sessionStatus = session.status || 'open';
+
+        item.className = 'list-group-item d-flex align-items-center gap-2' + (session.id === selectedSessionId ? ' active' : '');
+
+        select.type = 'button';
+        select.className = 'btn btn-link text-start text-reset text-decoration-none flex-grow-1 p-0';
+        select.textContent = session.name;
+        select.addEventListener('click', () => {
+            selectedSessionId = session.id;
+            document.getElementById('invitationNotice').classList.add('d-none');
+            renderSessions();
+            renderRoster();
+        });
+
+        status.className = 'badge text-bg-' + (STATUS_STYLES[sessionStatus] || 'secondary');
+        status.textContent = sessionStatus;
+
+        item.appendChild(select);
+        item.appendChild(status);
+        item.appendChild(createDeleteButton('Delete session', () => deleteSession(session)));
+        sessionList.appendChild(item);
+    });
+}
+
+// Show the juries and students of the selected session.
+function renderRoster() {
+    const session = dashboardSessions.find((s) => s.id === selectedSessionId);
+
+    document.getElementById('rosterPlaceholder').classList.toggle('d-none', Boolean(session));
+    document.getElementById('rosterPanel').classList.toggle('d-none', !session);
+
+    if (!session) {
+        return;
+    }
+
+    document.getElementById('rosterTitle').textContent = session.name;
+    renderStatusControls(session);
+
+    const juryTableBody = document.getElementById('juryTableBody');
+    const studentTableBody = document.getElementById('studentTableBody');
+
+    juryTableBody.replaceChildren();
+    studentTableBody.replaceChildren();
+
+    session.juries.forEach((jury) => {
+        const row = document.createElement('tr');
+        const actions = document.createElement('td');
+
+        actions.className = 'text-end';
+        actions.appendChild(createDeleteButton('Remove jury', () => deleteRosterEntry('juries', jury)));
+
+        row.appendChild(createTextCell(jury.name));
+        row.appendChild(createTextCell(jury.email || '-'));
+        row.appendChild(createTextCell(jury.company || '-'));
+        row.appendChild(actions);
+        juryTableBody.appendChild(row);
+    });
+
+    session.students.forEach((student) => {
+        const row = document.createElement('tr');
+        const actions = document.createElement('td');
+
+        actions.className = 'text-end';
+        actions.appendChild(createDeleteButton('Remove student', () => deleteRosterEntry('students', student)));
+
+        row.appendChild(createTextCell(student.name));
+        row.appendChild(createTextCell(student.project || '-'));
+        row.appendChild(createTextCell(student.order === null || student.order === undefined ? '-' : student.order));
+        row.appendChild(actions);
+        studentTableBody.appendChild(row);
+    });
+}
+
+// Show the status of the selected session and the changes of status it allows.
+function renderStatusControls(session) {
+    const sessionStatus = session.status || 'open';
+    const rosterStatus = document.getElementById('rosterStatus');
+    const statusActions = document.getElementById('statusActions');
+
+    rosterStatus.className = 'badge text-bg-' + (STATUS_STYLES[sessionStatus] || 'secondary');
+    rosterStatus.textContent = sessionStatus;
+    statusActions.replaceChildren();
+
+    (STATUS_ACTIONS[sessionStatus] || []).forEach(({ status, label }) => {
+        const button = document.createElement('button');
+
+        button.type = 'button';
+        button.className = 'btn btn-outline-secondary';
+        button.textContent = label;
+        button.addEventListener('click', () => changeSessionStatus(session, status));
+        statusActions.appendChild(button);
+    });
+}
+
+// Move the selected session to another status, after confirmation when that stops the evaluations.
+async function changeSessionStatus(session, status) {
+    const closing = status === 'closed' && (session.status || 'open') === 'open';
+
+    if (closing && !confirm('Close the session "' + session.name + '"? Juries will no longer be able to submit evaluations.')) {
+        return;
+    }
+
+    await withErrors('rosterError', async () => {
+        const { ok, data } = await apiRequest('POST', '/api/sessions/' + encodeURIComponent(session.id) + '/status', { status });
+
+        if (!ok) {
+            showError('rosterError', data.error || 'Could not change the status of the session.');
+            return;
+        }
+
+        updateSession(data.session);
+    });
+}
+
+// Replace a session in the list with its updated version from the server.
+function updateSession(session) {
+    dashboardSessions = dashboardSessions.map((s) => (s.id === session.id ? session : s));
+    renderSessions();
+    renderRoster();
+}
+
+// Delete a session after confirmation. It can be restored from the trash for a while.
+async function deleteSession(session) {
+    if (!confirm('Delete the session "' + session.name + '"? It can be restored from the trash for 30 days.')) {
+        return;
+    }
+
+    await withErrors('sessionError', async () => {
+        const { ok, data } = await apiRequest('DELETE', '/api/sessions/' + encodeURIComponent(session.id));
+
+        if (!ok) {
+            showError('sessionError', data.error || 'Could not delete the session.');
+            return;
+        }
+
+        await loadSessions();
+    });
+}
+
+// Remove a jury or student of the selected session.
+// Someone with evaluations is only removed, along with their evaluations, once the user confirms.
+async function deleteRosterEntry(list, entry) {
+    const url = '/api/sessions/' + encodeURIComponent(selectedSessionId) + '/' + list + '/' + encodeURIComponent(entry.id);
+
+    await withErrors('rosterError', async () => {
+        let { ok, status, data } = await apiRequest('DELETE', url);
+
+        if (status === 409 && data.evaluationCount) {
+            const count = data.evaluationCount + (data.evaluationCount === 1 ? ' evaluation' : ' evaluations');
+
+            if (!confirm(entry.name + ' has ' + count + '. Remove them along with their evaluations?')) {
+                return;
+            }
+
+            ({ ok, data } = await apiRequest('DELETE', url + '?cascade=true'));
+        }
+
+        if (!ok) {
+            showError('rosterError', data.error || 'Could not remove ' + entry.name + '.');
+            return;
+        }
+
+        await loadSessions();
+    });
+}
+
+// Read the value of a text field, trimmed.
+function readField(id) {
+    return document.getElementById(id).value.trim();
+}
+
+// Wire up the forms and check whether the user is already logged in.
+document.addEventListener('DOMContentLoaded', async () => {
+    const loginForm = document.getElementById('loginForm');
+
+    if (!loginForm) {
+        return;
+    }
+
+    loginForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        withErrors('loginError', async () => {
+            const { data } = await apiRequest('POST', '/api/login', {
+                username: readField('loginUsername'),
+                password: document.getElementById('loginPassword').value
+            });
+
+            if (!data.success) {
+                showError('loginError', data.message || 'Invalid credentials.');
+                return;
+            }
+
+            loginForm.reset();
+
+            // Go back to the page that asked for a login, if any.
+            const next = new URLSearchParams(window.location.search).get('next');
+
+            if (next && /^[\w-]+\.html(\?.*)?$/.test(next)) {
+                window.location.href = './' + next;
+                return;
+            }
+
+            await showDashboard(await checkSession(true));
+        });
+    });
+
+    document.getElementById('sessionForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        withErrors('sessionError', async () => {
+            const { ok, data } = await apiRequest('POST', '/api/sessions', { name: readField('sessionName') });
+
+            if (!ok) {
+                showError('sessionError', data.error);
+                return;
+            }
+
+            event.target.reset();
+            selectedSessionId = data.session.id;
+            dashboardSessions.push(data.session);
+            renderSessions();
+            renderRoster();
+        });
+    });
+
+    document.getElementById('juryForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        withErrors('juryError', async () => {
+            const { ok, data } = await apiRequest('POST', '/api/sessions/' + encodeURIComponent(selectedSessionId) + '/juries', {
+                name: readField('juryName'),
+                email: readField('juryEmail'),
+                company: readField('juryCompany')
+            });
+
+            if (!ok) {
+                showError('juryError', data.error);
+                return;
+            }
+
+            event.target.reset();
+            updateSession(data.session);
+
+            // The invitation link is only shown once: the server keeps a hash of it.
+            const invitationNotice = document.getElementById('invitationNotice');
+
+            invitationNotice.textContent = 'Invitation link for ' + data.jury.name + ': ' + data.invitation.url;
+            invitationNotice.classList.remove('d-none');
+        });
+    });
+
+    document.getElementById('studentForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        withErrors('studentError', async () => {
+            const order = readField('studentOrder');
+            const { ok, data } = await apiRequest('POST', '/api/sessions/' + encodeURIComponent(selectedSessionId) + '/students', {
+                name: readField('studentName'),
+                project: readField('studentProject'),
+                ...(order ? { order: Number(order) } : {})
+            });
+
+            if (!ok) {
+                showError('studentError', data.error);
+                return;
+            }
+
+            event.target.reset();
+            updateSession(data.session);
+        });
+    });
+
+    const user = await checkSession();
+
+    if (user.loggedIn) {
+        await showDashboard(user);
+        return;
+    }
+
+    showLogin();
+
+    if (new URLSearchParams(window.location.search).get('reason') === 'expired') {
+        showError('loginError', 'Your session has expired. Please log in again.');
+    }
+});
@@ -0,0 +1,644 @@
+// Keys under which drafts and evaluations waiting for the network are kept in localStorage.
+const DRAFT_PREFIX = 'demoday.draft.';
+const OUTBOX_KEY = 'demoday.outbox';
+
+// Largest number of choices shown as radio buttons; longer scales use a slider.
+const MAX_RADIO_CHOICES = 11;
+
+// User logged in, sessions they can evaluate in and the selected one.
+let formUser = null;
+let formSessions = [];
+let formSession = null;
+
+// Whether queued evaluations are being sent.
+let flushingOutbox = false;
+
+// Show a message above the form.
+function showFormAlert(text, style) {
+    const formAlert = document.getElementById('formAlert');
+
+    formAlert.textContent = text;
+    formAlert.className = 'alert alert-' + style;
+}
+
+// Hide the message above the form.
+function hideFormAlert() {
+    document.getElementById('formAlert').className = 'alert d-none';
+}
+
+// Read the evaluations waiting to be sent.
+function readOutbox() {
+    try {
+        return JSON.parse(localStorage.getItem(OUTBOX_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Replace the evaluations waiting to be sent.
+function writeOutbox(entries) {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    updateConnectionStatus();
+}
+
+// Show whether the browser is online and how many evaluations are waiting to be sent.
+function updateConnectionStatus() {
+    const connectionStatus = document.getElementById('connectionStatus');
+    const outboxStatus = document.getElementById('outboxStatus');
+    const queued = readOutbox().length;
+
+    connectionStatus.textContent = navigator.onLine ? 'Online' : 'Offline';
+    connectionStatus.className = 'badge text-bg-' + (navigator.onLine ? 'success' : 'secondary');
+
+    outboxStatus.textContent = queued + (queued === 1 ? ' evaluation' : ' evaluations') + ' waiting to be sent';
+    outboxStatus.classList.toggle('d-none', queued === 0);
+}
+
+// Replace the options of a select, keeping its placeholder.
+function fillSelect(select, options, placeholder) {
+    const placeholderOption = document.createElement('option');
+
+    placeholderOption.value = '';
+    placeholderOption.textContent = placeholder;
+    select.replaceChildren(placeholderOption);
+
+    options.forEach(({ value, text, disabled }) => {
+        const option = document.createElement('option');
+
+        option.value = value;
+        option.textContent = text;
+        option.disabled = Boolean(disabled);
+        select.appendChild(option);
+    });
+}
+
+// List who can be evaluated in a session: each team, and each student who isn't in a team.
+// Option values tell teams ("team:<id>") and students ("student:<id>") apart.
+function listPresenterOptions(session) {
+    const teams = session.teams || [];
+    const studentName = (id) => (session.students.find((s) => s.id === id) || { name: '?' }).name;
+
+    const teamOptions = teams.map((team) => ({
+        value: 'team:' + team.id,
+        text: team.name + ' (' + team.members.map(studentName).join(', ') + ')'
+    }));
+
+    const studentOptions = session.students
+        .filter((student) => !teams.some((team) => team.members.includes(student.id)))
+        .map((student) => ({ value: 'student:' + student.id, text: student.name }));
+
+    return [...studentOptions, ...teamOptions];
+}
+
+// Get who is evaluated from the value of the presenter select.
+function parsePresenter(value) {
+    const [type, id] = value.split(':');
+
+    return type === 'team' ? { teamId: id } : { studentId: id };
+}
+
+// Get the team being evaluated, if any.
+function getSelectedTeam() {
+    const { teamId } = parsePresenter(document.getElementById('presenterSelect').value);
+
+    return teamId ? (formSession.teams || []).find((t) => t.id === teamId) || null : null;
+}
+
+// Build the input of one criterion: radio buttons for short scales, a slider otherwise.
+// `name` is the field the score is read from, and `label` the text shown above it.
+function createScoreInput(criterion, name, label) {
+    const group = document.createElement('div');
+    const title = document.createElement('div');
+    const step = criterion.step || 1;
+    const choices = Math.floor((criterion.max - criterion.min) / step) + 1;
+
+    group.className = 'mb-3';
+    title.className = 'form-label mb-1';
+    title.textContent = label;
+    group.appendChild(title);
+
+    if (choices <= MAX_RADIO_CHOICES) {
+        for (let i = 0; i < choices; i++) {
+            const value = criterion.min + i * step;
+            const check = document.createElement('div');
+            const input = document.createElement('input');
+            const inputLabel = document.createElement('label');
+
+            check.className = 'form-check form-check-inline';
+            input.className = 'form-check-input';
+            input.type = 'radio';
+            input.name = name;
+            input.id = name + '-' + i;
+            input.value = value;
+            input.dataset.max = criterion.max;
+            inputLabel.className = 'form-check-label';
+            inputLabel.htmlFor = input.id;
+            inputLabel.textContent = value;
+
+            check.appendChild(input);
+            check.appendChild(inputLabel);
+            group.appendChild(check);
+        }
+
+        return group;
+    }
+
+    // A slider always has a value, so it only counts once the jury has moved it.
+    const row = document.createElement('div');
+    const input = document.createElement('input');
+    const output = document.createElement('output');
+
+    row.className = 'd-flex align-items-center gap-3';
+    input.className = 'form-range';
+    input.type = 'range';
+    input.name = name;
+    input.min = criterion.min;
+    input.max = criterion.max;
+    input.step = criterion.step || 'any';
+    input.value = criterion.min;
+    input.dataset.max = criterion.max;
+    input.setAttribute('aria-label', label);
+    output.className = 'text-body-secondary';
+    output.textContent = '-';
+
+    input.addEventListener('input', () => {
+        input.dataset.touched = 'true';
+        output.textContent = input.value;
+    });
+
+    row.appendChild(input);
+    row.appendChild(output);
+    group.appendChild(row);
+
+    return group;
+}
+
+// Render the criteria of the session rubric, one card per section with its subtotal.
+// In a team evaluation, individual criteria are scored separately for each member.
+function renderCriteria() {
+    const criteriaSections = document.getElementById('criteriaSections');
+    const team = getSelectedTeam();
+
+    criteriaSections.replaceChildren();
+
+    formSession.rubric.sections.forEach((section, index) => {
+        const card = document.createElement('div');
+        const header = document.createElement('div');
+        const title = document.createElement('span');
+        const subtotal = document.createElement('span');
+        const body = document.createElement('div');
+
+        card.className = 'card mb-3';
+        header.className = 'card-header d-flex align-items-center';
+        title.className = 'fw-semibold me-auto';
+        title.textContent = section.name;
+        subtotal.id = 'subtotal-' + index;
+        subtotal.className = 'badge text-bg-light border';
+        body.className = 'card-body';
+        body.dataset.section = index;
+
+        section.criteria.forEach((criterion) => {
+            if (team && criterion.scope === 'individual') {
+                team.members.forEach((memberId) => {
+                    const member = formSession.students.find((s) => s.id === memberId);
+                    const label = criterion.label + ' - ' + (member ? member.name : memberId) + ' (optional)';
+
+                    body.appendChild(createScoreInput(criterion, 'member.' + memberId + '.' + criterion.id, label));
+                });
+            } else {
+                body.appendChild(createScoreInput(criterion, criterion.id, criterion.label));
+            }
+        });
+
+        header.appendChild(title);
+        header.appendChild(subtotal);
+        card.appendChild(header);
+        card.appendChild(body);
+        criteriaSections.appendChild(card);
+    });
+
+    document.getElementById('commentsGroup').classList.remove('d-none');
+    document.getElementById('submitEvaluationBtn').disabled = false;
+}
+
+// Clear the criteria, e.g. when the session, the jury or the presenter changes.
+function clearCriteria() {
+    document.getElementById('criteriaSections').replaceChildren();
+    document.getElementById('commentsGroup').classList.add('d-none');
+    document.getElementById('studentComments').value = '';
+    document.getElementById('submitEvaluationBtn').disabled = true;
+    document.getElementById('totalScore').textContent = '-';
+    document.getElementById('draftStatus').textContent = '';
+}
+
+// Read the value given to each field of the form: checked radios and moved sliders.
+function readFieldValues() {
+    const values = {};
+
+    document.querySelectorAll('#criteriaSections input').forEach((input) => {
+        if ((input.type === 'radio' && input.checked) || (input.type === 'range' && input.dataset.touched)) {
+            values[input.name] = Number(input.value);
+        }
+    });
+
+    return values;
+}
+
+// Show the score of each section and the total, as points out of the points available so far.
+function updateSubtotals() {
+    const values = readFieldValues();
+    let total = 0;
+    let totalMax = 0;
+
+    document.querySelectorAll('#criteriaSections [data-section]').forEach((body) => {
+        const maxByField = {};
+        let score = 0;
+        let max = 0;
+
+        body.querySelectorAll('input').forEach((input) => {
+            maxByField[input.name] = Number(input.dataset.max);
+        });
+
+        Object.keys(maxByField).forEach((name) => {
+            if (values[name] !== undefined) {
+                score += values[name];
+                max += maxByField[name];
+            }
+        });
+
+        document.getElementById('subtotal-' + body.dataset.section).textContent = max > 0 ? score + ' / ' + max : '-';
+        total += score;
+        totalMax += max;
+    });
+
+    document.getElementById('totalScore').textContent = totalMax > 0 ? total + ' / ' + totalMax : '-';
+}
+
+// Key of the draft of the current selection, or null while the selection is incomplete.
+function getDraftKey() {
+    const juryId = document.getElementById('jurySelect').value;
+    const presenter = document.getElementById('presenterSelect').value;
+
+    return formSession && juryId && presenter ? DRAFT_PREFIX + formSession.id + '.' + juryId + '.' + presenter : null;
+}
+
+// Save what has been entered so far, so it survives a reload or a lost connection.
+function saveDraft() {
+    const key = getDraftKey();
+
+    if (!key) {
+        return;
+    }
+
+    localStorage.setItem(key, JSON.stringify({
+        values: readFieldValues(),
+        studentComments: document.getElementById('studentComments').value,
+        savedAt: new Date().toISOString()
+    }));
+
+    document.getElementById('draftStatus').textContent = 'Draft saved at ' + new Date().toLocaleTimeString();
+}
+
+// Fill the form with the saved draft of the current selection, if any.
+function restoreDraft() {
+    const key = getDraftKey();
+    let draft = null;
+
+    try {
+        draft = key ? JSON.parse(localStorage.getItem(key)) : null;
+    } catch (error) {
+        draft = null;
+    }
+
+    if (!draft) {
+        return;
+    }
+
+    Object.keys(draft.values).forEach((name) => {
+        document.querySelectorAll('#criteriaSections input').forEach((input) => {
+            if (input.name !== name) {
+                return;
+            }
+
+            if (input.type === 'radio') {
+                input.checked = Number(input.value) === draft.values[name];
+            } else {
+                input.value = draft.values[name];
+                input.dispatchEvent(new Event('input'));
+            }
+        });
+    });
+
+    document.getElementById('studentComments').value = draft.studentComments || '';
+    document.getElementById('draftStatus').textContent = 'Draft restored from ' + new Date(draft.savedAt).toLocaleTimeString();
+}
+
+// Build the evaluation sent to the server from the form.
+function buildPayload() {
+    const values = readFieldValues();
+    const presenter = parsePresenter(document.getElementById('presenterSelect').value);
+    const payload = {
+        sessionId: formSession.id,
+        juryId: document.getElementById('jurySelect').value,
+        ...presenter,
+        studentComments: document.getElementById('studentComments').value
+    };
+
+    Object.keys(values).forEach((name) => {
+        if (name.startsWith('member.')) {
+            const [, memberId, criterionId] = name.split('.');
+
+            payload.memberScores = payload.memberScores || {};
+            payload.memberScores[memberId] = payload.memberScores[memberId] || {};
+            payload.memberScores[memberId][criterionId] = values[name];
+        } else {
+            payload[name] = values[name];
+        }
+    });
+
+    return payload;
+}
+
+// Send an evaluation. Throws when the network is unreachable.
+async function sendEvaluation(payload) {
+    const response = await fetch('/api/submitEvaluation', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    return { status: response.status, data: await response.json() };
+}
+
+// Keep an evaluation to send once the connection is back.
+// Only the latest evaluation of a jury for a student or team is kept.
+function queueEvaluation(key, payload, label) {
+    const outbox = readOutbox().filter((entry) => entry.key !== key);
+
+    outbox.push({ key, payload, label, queuedAt: new Date().toISOString() });
+    writeOutbox(outbox);
+}
+
+// Send the evaluations waiting in the outbox, oldest first, stopping as soon as the network fails again.
+// An evaluation the server already has (sent just before the connection dropped) counts as sent.
+async function flushOutbox() {
+    if (flushingOutbox || !navigator.onLine || readOutbox().length === 0) {
+        return;
+    }
+
+    flushingOutbox = true;
+
+    const problems = [];
+    let sent = 0;
+
+    try {
+        for (const entry of readOutbox()) {
+            let result;
+
+            try {
+                result = await sendEvaluation(entry.payload);
+            } catch (error) {
+                break;
+            }
+
+            // Logged out in the meantime: keep the evaluations until the jury logs back in.
+            if (result.status === 401) {
+                problems.push('Log in again to send the evaluations waiting in this browser.');
+                break;
+            }
+
+            // The draft stays in the browser when the server refuses the evaluation, so it can be fixed and sent again.
+            if (result.status === 200 || (result.status === 409 && result.data.submissionId)) {
+                sent++;
+                localStorage.removeItem(entry.key);
+            } else {
+                problems.push('Evaluation of ' + entry.label + ' could not be sent: ' + result.data.error);
+            }
+
+            writeOutbox(readOutbox().filter((e) => e.key !== entry.key));
+        }
+    } finally {
+        flushingOutbox = false;
+    }
+
+    if (problems.length > 0) {
+        showFormAlert(problems.join(' '), 'danger');
+    } else if (sent > 0) {
+        showFormAlert(sent + (sent === 1 ? ' evaluation' : ' evaluations') + ' saved offline sent successfully.', 'success');
+    }
+}
+
+// Submit the evaluation, or keep it for later when the connection is down.
+async function handleSubmit(event) {
+    event.preventDefault();
+
+    const key = getDraftKey();
+    const payload = buildPayload();
+    const label = document.getElementById('presenterSelect').selectedOptions[0].textContent;
+
+    saveDraft();
+
+    if (!navigator.onLine) {
+        queueEvaluation(key, payload, label);
+        showFormAlert('You are offline: the evaluation of ' + label + ' will be sent when the connection returns.', 'warning');
+        return;
+    }
+
+    let result;
+
+    try {
+        result = await sendEvaluation(payload);
+    } catch (error) {
+        queueEvaluation(key, payload, label);
+        showFormAlert('The connection dropped: the evaluation of ' + label + ' will be sent when it returns.', 'warning');
+        return;
+    }
+
+    if (result.status === 200) {
+        localStorage.removeItem(key);
+        showFormAlert('Evaluation of ' + label + ' submitted successfully!', 'success');
+        await loadEvaluated();
+        document.getElementById('presenterSelect').value = '';
+        clearCriteria();
+        return;
+    }
+
+    if (result.status === 400 && result.data.details) {
+        showFormAlert(result.data.details.map((detail) => detail.field + ': ' + detail.reason).join(' '), 'danger');
+        return;
+    }
+
+    showFormAlert(result.data.error || 'The evaluation could not be submitted.', 'danger');
+}
+
+// Mark the students and teams the selected jury has already evaluated.
+async function loadEvaluated() {
+    const presenterSelect = document.getElementById('presenterSelect');
+    const juryId = document.getElementById('jurySelect').value;
+    const options = listPresenterOptions(formSession);
+
+    try {
+        const query = '?sessionId=' + encodeURIComponent(formSession.id) + '&juryId=' + encodeURIComponent(juryId);
+        const response = await fetch('/api/evaluations' + query);
+        const evaluations = response.ok ? await response.json() : [];
+
+        options.forEach((option) => {
+            const { studentId, teamId } = parsePresenter(option.value);
+
+            if (evaluations.some((sub) => (teamId ? sub.teamId === teamId : sub.studentId === studentId))) {
+                option.text += ' - evaluated';
+                option.disabled = true;
+            }
+        });
+    } catch (error) {
+        console.log('Error loading evaluations:', error);
+    }
+
+    fillSelect(presenterSelect, options, 'Select a student or team');
+    presenterSelect.disabled = false;
+}
+
+// Select whoever presents in the jury's room right now, according to the schedule of the session.
+async function selectCurrentPresenter() {
+    const presenterSelect = document.getElementById('presenterSelect');
+    const juryId = document.getElementById('jurySelect').value;
+
+    try {
+        const response = await fetch('/api/sessions/' + encodeURIComponent(formSession.id) + '/schedule/current?juryId=' + encodeURIComponent(juryId));
+        const current = response.ok ? (await response.json()).current : null;
+        const value = current ? (current.teamId ? 'team:' + current.teamId : 'student:' + current.studentId) : '';
+        const option = [...presenterSelect.options].find((o) => o.value === value);
+
+        if (option && !option.disabled) {
+            presenterSelect.value = value;
+            presenterSelect.dispatchEvent(new Event('change'));
+        }
+    } catch (error) {
+        console.log('Error loading the schedule:', error);
+    }
+}
+
+// Fill the jury select for the selected session.
+// Jury members can only evaluate as themselves, so their own jury is selected and locked.
+async function loadJuries() {
+    const jurySelect = document.getElementById('jurySelect');
+
+    fillSelect(jurySelect, formSession.juries.map((jury) => ({ value: jury.id, text: jury.name })), 'Select a jury');
+    jurySelect.disabled = false;
+
+    if (formUser.role !== 'jury') {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/sessions/' + encodeURIComponent(formSession.id) + '/schedule/current');
+
+        if (response.ok) {
+            jurySelect.value = (await response.json()).juryId;
+            jurySelect.disabled = true;
+            jurySelect.dispatchEvent(new Event('change'));
+        }
+    } catch (error) {
+        console.log('Error loading your jury:', error);
+    }
+}
+
+// Load the sessions the user can evaluate in and wire up the form.
+document.addEventListener('DOMContentLoaded', async () => {
+    const evaluationForm = document.getElementById('evaluationForm');
+    const sessionSelect = document.getElementById('sessionSelect');
+    const jurySelect = document.getElementById('jurySelect');
+    const presenterSelect = document.getElementById('presenterSelect');
+
+    if (!evaluationForm) {
+        return;
+    }
+
+    updateConnectionStatus();
+
+    window.addEventListener('online', () => {
+        updateConnectionStatus();
+        flushOutbox();
+    });
+    window.addEventListener('offline', updateConnectionStatus);
+
+    sessionSelect.addEventListener('change', () => {
+        formSession = formSessions.find((s) => s.id === sessionSelect.value) || null;
+        fillSelect(jurySelect, [], 'Select a jury');
+        fillSelect(presenterSelect, [], 'Select a student or team');
+        jurySelect.disabled = true;
+        presenterSelect.disabled = true;
+        clearCriteria();
+
+        if (formSession) {
+            loadJuries();
+        }
+    });
+
+    jurySelect.addEventListener('change', async () => {
+        presenterSelect.disabled = true;
+        clearCriteria();
+
+        if (jurySelect.value) {
+            await loadEvaluated();
+            await selectCurrentPresenter();
+        }
+    });
+
+    presenterSelect.addEventListener('change', () => {
+        hideFormAlert();
+        clearCriteria();
+
+        if (presenterSelect.value) {
+            renderCriteria();
+            restoreDraft();
+            updateSubtotals();
+        }
+    });
+
+    // Selects have their own handlers: a new selection must not overwrite its draft with the previous scores.
+    evaluationForm.addEventListener('input', (event) => {
+        if (event.target.tagName === 'SELECT') {
+            return;
+        }
+
+        updateSubtotals();
+        saveDraft();
+    });
+
+    evaluationForm.addEventListener('submit', handleSubmit);
+
+    try {
+        formUser = await checkSession();
+
+        if (formUser.offline) {
+            showFormAlert('You are offline: evaluations saved in this browser will be sent when the connection returns.', 'warning');
+            sessionSelect.disabled = true;
+            return;
+        }
+
+        // Logged-out users are sent to the login page.
+        if (!formUser.loggedIn) {
+            sessionSelect.disabled = true;
+            return;
+        }
+
+        const response = await fetch('/api/sessions');
+        formSessions = response.ok ? await response.json() : [];
+
+        fillSelect(sessionSelect, formSessions.map((session) => ({ value: session.id, text: session.name })), 'Select a session');
+
+        // Invitation links open the form on their session.
+        const requestedSession = new URLSearchParams(window.location.search).get('sessionId') || formUser.sessionId;
+
+        if (formSessions.some((s) => s.id === requestedSession)) {
+            sessionSelect.value = requestedSession;
+            sessionSelect.dispatchEvent(new Event('change'));
+        }
+
+        flushOutbox();
+    } catch (error) {
+        console.log('Error loading sessions:', error);
+        showFormAlert('Could not load the sessions. Evaluations saved in this browser will be sent when the connection returns.', 'warning');
+    }
+});
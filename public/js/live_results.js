@@ -0,0 +1,194 @@
+// Live results stream of the selected session.
+let liveSource = null;
+
+// Show the connection state of the live results.
+function setLiveStatus(text, style) {
+    const liveStatus = document.getElementById('liveStatus');
+
+    liveStatus.textContent = text;
+    liveStatus.className = 'badge text-bg-' + style;
+}
+
+// Show a message in place of the live results table.
+function showLiveMessage(text) {
+    document.getElementById('liveMessage').textContent = text;
+    document.getElementById('liveMessage').classList.remove('d-none');
+    document.getElementById('liveTable').classList.add('d-none');
+}
+
+// Build a table cell with the given text.
+function createCell(text, className) {
+    const cell = document.createElement('td');
+
+    cell.textContent = text;
+
+    if (className) {
+        cell.className = className;
+    }
+
+    return cell;
+}
+
+// Add one column per criterion of the session, before the total.
+function renderLiveHeader(criteria) {
+    const liveTotalHeader = document.getElementById('liveTotalHeader');
+
+    liveTotalHeader.parentElement.querySelectorAll('.live-criterion').forEach((header) => header.remove());
+
+    criteria.forEach((criterion) => {
+        const header = document.createElement('th');
+
+        header.scope = 'col';
+        header.className = 'live-criterion text-end small';
+        header.textContent = criterion.label;
+        liveTotalHeader.before(header);
+    });
+}
+
+// Render the live results of a session: one row per student, with a badge per jury
+// and the running average of each criterion.
+function renderLiveResults(snapshot) {
+    const liveTableBody = document.getElementById('liveTableBody');
+
+    liveTableBody.replaceChildren();
+    renderLiveHeader(snapshot.criteria);
+
+    if (snapshot.students.length === 0) {
+        showLiveMessage('No student in this session yet.');
+        return;
+    }
+
+    snapshot.students.forEach((student) => {
+        const row = document.createElement('tr');
+        const juriesCell = document.createElement('td');
+
+        student.juries.forEach((jury) => {
+            const badge = document.createElement('span');
+
+            badge.className = 'badge me-1 ' + (jury.submitted ? 'text-bg-success' : 'text-bg-light border');
+            badge.title = jury.submitted ? 'Submitted' : 'Pending';
+            badge.textContent = jury.juryName;
+            juriesCell.appendChild(badge);
+        });
+
+        row.appendChild(createCell(student.studentName, 'fw-semibold'));
+        row.appendChild(createCell(student.teamName || '-'));
+        row.appendChild(juriesCell);
+        row.appendChild(createCell(student.submittedCount + ' / ' + snapshot.juryCount, 'text-end'));
+        snapshot.criteria.forEach((criterion) => {
+            row.appendChild(createCell(formatScore(student.averages[criterion.id]), 'text-end'));
+        });
+        row.appendChild(createCell(formatScore(student.total, snapshot.scale), 'text-end'));
+        row.appendChild(createCell(student.rank === null ? '-' : student.rank, 'text-end'));
+
+        liveTableBody.appendChild(row);
+    });
+
+    document.getElementById('liveMessage').classList.add('d-none');
+    document.getElementById('liveTable').classList.remove('d-none');
+}
+
+// Follow the live results of a session, closing the stream of the previous one.
+function followSession(sessionId) {
+    if (liveSource) {
+        liveSource.close();
+        liveSource = null;
+    }
+
+    if (!sessionId) {
+        setLiveStatus('Offline', 'secondary');
+        showLiveMessage('Select a session to follow its evaluations as they come in.');
+        return;
+    }
+
+    setLiveStatus('Connecting', 'warning');
+    liveSource = new EventSource('/api/sessions/' + encodeURIComponent(sessionId) + '/events');
+
+    // Every event carries a fresh snapshot of the session.
+    ['snapshot', 'evaluation', 'roster', 'session'].forEach((type) => {
+        liveSource.addEventListener(type, (event) => {
+            const data = JSON.parse(event.data);
+
+            // The server ends the stream once the session is deleted or its results are hidden again.
+            if (data.snapshot === null) {
+                liveSource.close();
+                setLiveStatus('Offline', 'secondary');
+                showLiveMessage(data.reason === 'hidden' ? 'The results of this session are no longer published.' : 'This session has been deleted.');
+                return;
+            }
+
+            setLiveStatus('Live', 'success');
+            renderLiveResults(data.snapshot);
+        });
+    });
+
+    // The browser reconnects by itself after a network error, but gives up when the server refuses the stream.
+    liveSource.onerror = () => {
+        if (liveSource.readyState === EventSource.CLOSED) {
+            liveSource = null;
+            setLiveStatus('Offline', 'secondary');
+            showRefusedSession(sessionId);
+            return;
+        }
+
+        setLiveStatus('Reconnecting', 'warning');
+    };
+}
+
+// Explain why the stream of a session was refused. The progress of a session is guarded like its stream,
+// so its error tells why (e.g. results not published yet, or session deleted).
+async function showRefusedSession(sessionId) {
+    try {
+        const response = await fetch('/api/sessions/' + encodeURIComponent(sessionId) + '/progress');
+        const data = await response.json();
+
+        showLiveMessage(response.ok ? 'The live results could not be loaded. Please try again.' : data.error);
+    } catch (error) {
+        console.log('Error checking session access:', error);
+        showLiveMessage('The live results could not be loaded. Please try again.');
+    }
+}
+
+// Check whether the user may follow the live results of a session. Like for the other results,
+// viewers only follow published sessions.
+function canFollowSession(user, session) {
+    return user.role !== 'viewer' || session.status === 'published';
+}
+
+// Load the sessions the user can follow.
+document.addEventListener('DOMContentLoaded', async () => {
+    const liveSessionSelect = document.getElementById('liveSessionSelect');
+
+    if (!liveSessionSelect) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/sessions');
+
+        if (!response.ok) {
+            showLiveMessage('Log in to follow the results.');
+            return;
+        }
+
+        const user = await checkSession();
+        const sessions = (await response.json()).filter((session) => canFollowSession(user, session));
+
+        if (sessions.length === 0) {
+            showLiveMessage('No session to follow yet.');
+        }
+
+        sessions.forEach((session) => {
+            const option = document.createElement('option');
+
+            option.value = session.id;
+            option.textContent = session.name;
+            liveSessionSelect.appendChild(option);
+        });
+
+        liveSessionSelect.addEventListener('change', () => followSession(liveSessionSelect.value));
+    } catch (error) {
+        console.log('Error loading sessions:', error);
+        showLiveMessage('Could not load the sessions. Please try again.');
+    }
+});
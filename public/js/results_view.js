@@ -0,0 +1,317 @@
+// Results of the campus as returned by the server, and how they are shown.
+let resultsData = null;
+let resultsSortKey = 'total';
+let resultsSortDescending = true;
+let selectedResultKey = null;
+
+// Largest number of bars in a histogram of whole scores; wider scales are grouped into ranges.
+const MAX_HISTOGRAM_BINS = 11;
+const RANGE_HISTOGRAM_BINS = 5;
+
+// Average of the numbers of a list, or null when there are none.
+function averageOf(values) {
+    const numbers = values.filter((value) => Number.isFinite(value));
+
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+// Flatten the criteria of the rubric of a session.
+function listSessionCriteria(session) {
+    return session.rubric.sections.flatMap((section) => section.criteria);
+}
+
+// List the criteria of several sessions once each, in the order they first appear.
+function listCriteriaUnion(sessions) {
+    const criteria = [];
+
+    sessions.forEach((session) => {
+        listSessionCriteria(session).forEach((criterion) => {
+            if (!criteria.some((c) => c.id === criterion.id)) {
+                criteria.push(criterion);
+            }
+        });
+    });
+
+    return criteria;
+}
+
+// Score of a criterion as a share of its range, between 0 and 1.
+function relativeScore(criterion, value) {
+    return value === null || value === undefined ? null : (value - criterion.min) / (criterion.max - criterion.min);
+}
+
+// Sessions selected by the session filter.
+function getVisibleSessions() {
+    const sessionId = document.getElementById('resultsSessionSelect').value;
+
+    return resultsData.sessions.filter((s) => !sessionId || s.id === sessionId);
+}
+
+// Key identifying a student's result across sessions.
+function resultKey(entry) {
+    return entry.sessionId + '_' + (entry.studentId || entry.studentName);
+}
+
+// Offer sorting by total or by any criterion of the visible sessions.
+function renderSortOptions() {
+    const resultsSortSelect = document.getElementById('resultsSortSelect');
+    const criteria = listCriteriaUnion(getVisibleSessions());
+
+    resultsSortSelect.replaceChildren(new Option('Total', 'total'));
+    criteria.forEach((criterion) => resultsSortSelect.appendChild(new Option(criterion.label, criterion.id)));
+
+    if (!criteria.some((c) => c.id === resultsSortKey)) {
+        resultsSortKey = 'total';
+    }
+
+    resultsSortSelect.value = resultsSortKey;
+}
+
+// Value a result is sorted by.
+function sortValue(entry) {
+    return resultsSortKey === 'total' ? entry.total : entry[resultsSortKey + 'Avg'];
+}
+
+// List the results of the visible sessions, sorted by the chosen column (results without a score last).
+function renderResultsTable() {
+    const sessionIds = getVisibleSessions().map((s) => s.id);
+    const entries = resultsData.aggregated.filter((entry) => sessionIds.includes(entry.sessionId));
+    const resultsTableBody = document.getElementById('resultsTableBody');
+    const resultsSortHeader = document.getElementById('resultsSortHeader');
+    const sortCriterion = listCriteriaUnion(getVisibleSessions()).find((c) => c.id === resultsSortKey);
+
+    resultsTableBody.replaceChildren();
+    resultsSortHeader.textContent = sortCriterion ? sortCriterion.label : '';
+    resultsSortHeader.classList.toggle('d-none', !sortCriterion);
+
+    document.getElementById('resultsMessage').classList.toggle('d-none', entries.length > 0);
+    document.getElementById('resultsMessage').textContent = 'No evaluation to show yet.';
+    document.getElementById('resultsTable').classList.toggle('d-none', entries.length === 0);
+
+    entries
+        .sort((a, b) => {
+            const valueA = sortValue(a);
+            const valueB = sortValue(b);
+
+            if (valueA === null || valueA === undefined) {
+                return 1;
+            }
+
+            if (valueB === null || valueB === undefined) {
+                return -1;
+            }
+
+            return resultsSortDescending ? valueB - valueA : valueA - valueB;
+        })
+        .forEach((entry) => {
+            const session = resultsData.sessions.find((s) => s.id === entry.sessionId);
+            const team = entry.teamId ? (session.teams || []).find((t) => t.id === entry.teamId) : null;
+            const row = document.createElement('tr');
+            const cells = [
+                [entry.rank === null ? '-' : entry.rank, 'text-end'],
+                [entry.studentName || '-', 'fw-semibold'],
+                [session.name, ''],
+                [team ? team.name : '-', ''],
+                [sortCriterion ? formatScore(sortValue(entry)) : null, 'text-end'],
+                [formatScore(entry.total, entry.scale), 'text-end'],
+                [entry.band || '-', '']
+            ];
+
+            cells.forEach(([text, className]) => {
+                if (text === null) {
+                    return;
+                }
+
+                const cell = document.createElement('td');
+
+                cell.textContent = text;
+                cell.className = className;
+                row.appendChild(cell);
+            });
+
+            row.classList.toggle('table-active', resultKey(entry) === selectedResultKey);
+            row.style.cursor = 'pointer';
+            row.addEventListener('click', () => {
+                selectedResultKey = resultKey(entry);
+                renderResultsTable();
+                renderRadarChart();
+            });
+
+            resultsTableBody.appendChild(row);
+        });
+}
+
+// Draw the scores of the selected student on each criterion, next to the average of their session.
+function renderRadarChart() {
+    const entry = resultsData.aggregated.find((e) => resultKey(e) === selectedResultKey);
+    const radarChart = document.getElementById('radarChart');
+
+    document.getElementById('radarMessage').classList.toggle('d-none', Boolean(entry));
+
+    if (!entry) {
+        radarChart.replaceChildren();
+        return;
+    }
+
+    const session = resultsData.sessions.find((s) => s.id === entry.sessionId);
+    const criteria = listSessionCriteria(session);
+    const sessionEntries = resultsData.aggregated.filter((e) => e.sessionId === session.id);
+
+    drawRadarChart(radarChart, {
+        title: (entry.studentName || 'Student') + ' - ' + session.name,
+        axes: criteria.map((criterion) => criterion.label),
+        series: [
+            {
+                name: entry.studentName || 'Student',
+                values: criteria.map((criterion) => relativeScore(criterion, entry[criterion.id + 'Avg']))
+            },
+            {
+                name: 'Session average',
+                values: criteria.map((criterion) => {
+                    return relativeScore(criterion, averageOf(sessionEntries.map((e) => e[criterion.id + 'Avg'])));
+                })
+            }
+        ]
+    });
+}
+
+// Split the scale of a criterion into histogram bins: one per whole score on short scales, ranges otherwise.
+function buildBins(criterion) {
+    const range = criterion.max - criterion.min;
+    const wholeScores = (!criterion.step || Number.isInteger(criterion.step)) && Number.isInteger(criterion.min) && Number.isInteger(criterion.max);
+
+    if (wholeScores && range + 1 <= MAX_HISTOGRAM_BINS) {
+        return Array.from({ length: range + 1 }, (value, index) => ({
+            label: String(criterion.min + index),
+            from: criterion.min + index - 0.5,
+            to: criterion.min + index + 0.5,
+            count: 0
+        }));
+    }
+
+    const width = range / RANGE_HISTOGRAM_BINS;
+
+    return Array.from({ length: RANGE_HISTOGRAM_BINS }, (value, index) => ({
+        label: formatScore(criterion.min + index * width) + '-' + formatScore(criterion.min + (index + 1) * width),
+        from: criterion.min + index * width,
+        to: criterion.min + (index + 1) * width,
+        count: 0
+    }));
+}
+
+// Draw how the scores of each criterion are spread across the evaluations of the visible sessions.
+// Team evaluations count once for team criteria, and once per member scored on individual criteria.
+function renderHistograms() {
+    const sessions = getVisibleSessions();
+    const sessionIds = sessions.map((s) => s.id);
+    const submissions = resultsData.rawSubmissions.filter((sub) => sessionIds.includes(sub.sessionId));
+    const histograms = document.getElementById('histograms');
+
+    histograms.replaceChildren();
+
+    listCriteriaUnion(sessions).forEach((criterion) => {
+        const bins = buildBins(criterion);
+        const column = document.createElement('div');
+        const values = [];
+
+        submissions.forEach((sub) => {
+            values.push(sub[criterion.id]);
+            Object.values(sub.memberScores || {}).forEach((scores) => values.push(scores[criterion.id]));
+        });
+
+        values.filter((value) => Number.isFinite(value)).forEach((value) => {
+            const bin = bins.find((b, index) => value >= b.from && (value < b.to || index === bins.length - 1));
+
+            if (bin) {
+                bin.count++;
+            }
+        });
+
+        column.className = 'col-6 col-md-4 col-xl-3';
+        histograms.appendChild(column);
+        drawHistogram(column, { title: criterion.label, bins });
+    });
+}
+
+// Compare the average of each criterion across the sessions of the campus that have results.
+function renderComparisonChart() {
+    const sessions = resultsData.sessions.filter((s) => resultsData.aggregated.some((e) => e.sessionId === s.id));
+    const criteria = listCriteriaUnion(sessions);
+    const comparisonChart = document.getElementById('comparisonChart');
+
+    if (sessions.length === 0) {
+        comparisonChart.textContent = 'No evaluation to compare yet.';
+        return;
+    }
+
+    drawBarChart(comparisonChart, {
+        title: 'Criterion averages per session',
+        categories: criteria.map((criterion) => criterion.label),
+        series: sessions.map((session) => {
+            const entries = resultsData.aggregated.filter((e) => e.sessionId === session.id);
+            const sessionCriteria = listSessionCriteria(session);
+
+            return {
+                name: session.name,
+                values: criteria.map((criterion) => {
+                    const own = sessionCriteria.find((c) => c.id === criterion.id);
+
+                    return own ? relativeScore(own, averageOf(entries.map((e) => e[criterion.id + 'Avg']))) : null;
+                })
+            };
+        })
+    });
+}
+
+// Render everything that depends on the session filter.
+function renderResults() {
+    renderSortOptions();
+    renderResultsTable();
+    renderRadarChart();
+    renderHistograms();
+}
+
+// Load the results of the campus and wire up the filters.
+document.addEventListener('DOMContentLoaded', async () => {
+    const resultsSessionSelect = document.getElementById('resultsSessionSelect');
+    const resultsSortOrder = document.getElementById('resultsSortOrder');
+
+    if (!resultsSessionSelect) {
+        return;
+    }
+
+    resultsSessionSelect.addEventListener('change', renderResults);
+
+    document.getElementById('resultsSortSelect').addEventListener('change', (event) => {
+        resultsSortKey = event.target.value;
+        renderResultsTable();
+    });
+
+    resultsSortOrder.addEventListener('click', () => {
+        resultsSortDescending = !resultsSortDescending;
+        resultsSortOrder.title = resultsSortDescending ? 'Highest first' : 'Lowest first';
+        resultsSortOrder.firstElementChild.className = resultsSortDescending ? 'bi bi-sort-down' : 'bi bi-sort-up';
+        renderResultsTable();
+    });
+
+    try {
+        const response = await fetch('/api/resultsWithAverages');
+
+        if (!response.ok) {
+            document.getElementById('resultsMessage').textContent = 'Log in to see the results.';
+            return;
+        }
+
+        resultsData = await response.json();
+
+        resultsData.sessions.forEach((session) => {
+            resultsSessionSelect.appendChild(new Option(session.name, session.id));
+        });
+
+        renderResults();
+        renderComparisonChart();
+    } catch (error) {
+        console.log('Error loading results:', error);
+        document.getElementById('resultsMessage').textContent = 'Could not load the results. Please try again.';
+    }
+});
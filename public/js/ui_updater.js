@@ -13,7 +13,7 @@ function updateUI(data) {
     // Update campus indicator.
     if (campusIndicator) {
         if (data.loggedIn === true) {
-            campusIndicator.textContent = '- ' + data.campus;
+            campusIndicator.textContent = '- ' + (data.campus || 'Network');
         } else {
             campusIndicator.textContent = '';
         }
@@ -46,15 +46,90 @@ function updateUI(data) {
     }
 }
 
-// Check session on page load.
+// Format a score for display, out of its scale when one is given. Missing scores show as a dash.
+function formatScore(value, scale) {
+    if (value === null || value === undefined) {
+        return '-';
+    }
+
+    const score = Number(value.toFixed(2)).toString();
+
+    return scale === undefined ? score : score + ' / ' + scale;
+}
+
+// Pending or last check of the server session, shared by every script of the page.
+let sessionCheck = null;
+
+// Check whether the page can only be seen once logged in (`data-requires-login` on the body).
+function isProtectedPage() {
+    return document.body.hasAttribute('data-requires-login');
+}
+
+// Send the user to the login page, coming back to the current page once logged in.
+function redirectToLogin(reason) {
+    const params = new URLSearchParams({ next: window.location.pathname.split('/').pop() + window.location.search });
+
+    if (reason) {
+        params.set('reason', reason);
+    }
+
+    window.location.href = './dashboard.html?' + params.toString();
+}
+
+// Fetch the server session and update the UI with it.
+// The result is shared until `refresh` asks for a new check (e.g. right after logging in).
+function checkSession(refresh = false) {
+    if (!sessionCheck || refresh) {
+        sessionCheck = fetch('/api/checkSession')
+            .then((response) => response.json())
+            .catch((error) => {
+                // Unreachable server (e.g. the venue Wi-Fi dropped): the login may well still be valid.
+                console.log('Error checking session status:', error);
+                return { loggedIn: false, campus: null, offline: true };
+            })
+            .then((data) => {
+                updateUI(data);
+                return data;
+            });
+    }
+
+    return sessionCheck;
+}
+
+// Handle a login that expired while the page was open.
+function handleSessionExpired() {
+    sessionCheck = Promise.resolve({ loggedIn: false, campus: null });
+    updateUI({ loggedIn: false, campus: null });
+
+    if (isProtectedPage()) {
+        redirectToLogin('expired');
+    }
+}
+
+// Watch every API call for an expired login. Failed logins answer with 200, so any 401 means the session is gone.
+const nativeFetch = window.fetch.bind(window);
+
+window.fetch = async (...args) => {
+    const response = await nativeFetch(...args);
+    const url = new URL(args[0] instanceof Request ? args[0].url : String(args[0]), window.location.href);
+
+    if (response.status === 401 && url.origin === window.location.origin && url.pathname.startsWith('/api/') && sessionData.loggedIn) {
+        handleSessionExpired();
+    }
+
+    return response;
+};
+
+// Check session on page load, leaving protected pages when logged out.
 document.addEventListener('DOMContentLoaded', async () => {
-    try {
-        updateUI(sessionData);
-    } catch (error) {
-        console.log('Error checking session status:', error);
-        updateUI({ loggedIn: false, campus: null });
+    const data = await checkSession();
+
+    if (!data.loggedIn && !data.offline && isProtectedPage()) {
+        redirectToLogin();
     }
-})
+});
 
-// Make the function globally available.
-window.updateUI = updateUI;
\ No newline at end of file
+// Make the functions globally available.
+window.updateUI = updateUI;
+window.checkSession = checkSession;
+window.formatScore = formatScore;
\ No newline at end of file
@@ -3,11 +3,11 @@
 // ============================
 
 // System modules.
-const fs = require('fs');
 const path = require('path');
 
 // Third-party libraries.
 const crypto = require('crypto');
+const archiver = require('archiver');
 const express = require('express');
 const session = require('express-session');
 
@@ -15,6 +15,61 @@ const session = require('express-session');
 const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
 
+// Local modules.
+const { createStorageFromEnv } = require('./storage');
+const { createEmptyData } = require('./storage/schema');
+const { DEFAULT_RUBRIC, validateRubric, normalizeRubric, getSessionRubric, listCriteria } = require('./rubric');
+const { DEFAULT_GRADING, validateGrading, normalizeGrading } = require('./scoring');
+const { getSessionStatus, checkSessionStatus, validateTransition, applyTransition } = require('./lifecycle');
+const { withRosterNames, aggregateResults, aggregateTeamResults, flagOutliers, buildLiveResults } = require('./results');
+const { parseStatisticsOptions } = require('./statistics');
+const { buildProgress } = require('./progress');
+const {
+	validateSchedule,
+	buildSchedule,
+	validateGenerateOptions,
+	generateSchedule,
+	findJuryRoom,
+	findCurrentSlot,
+	findNextSlot,
+	describeSlot,
+	describeSchedule
+} = require('./schedule');
+const { publishSessionEvent, subscribeToSession, writeServerSentEvent } = require('./events');
+const { validateProfile, applyProfile, buildRosterEntry } = require('./roster');
+const { validateTeam, buildTeam, findStudentTeam } = require('./teams');
+const {
+	EXPORT_DATASETS,
+	EXPORT_FORMATS,
+	buildSubmissionsTable,
+	buildResultsTable,
+	buildMatrixTable,
+	toCsv,
+	toXlsx
+} = require('./export');
+const { buildReportData, renderStudentReport, reportFileName } = require('./reports');
+const { IMPORT_TYPES, parseRoster, validateRoster } = require('./roster_import');
+const { validateEvaluation, validateTeamEvaluation } = require('./validation');
+const {
+	isTrashItemExpired,
+	purgeExpiredTrash,
+	trashSession,
+	trashRosterEntry,
+	restoreTrashItem,
+	toTrashSummary
+} = require('./trash');
+const { snapshot, recordAudit, parseAuditFilters, queryAuditLog, toJsonLines } = require('./audit');
+const { parseNetworkFilters, buildNetworkReport } = require('./network');
+const { CAMPUS_ROLES, verifyPassword, findUserByUsername, createUser, setPassword, toPublicUser } = require('./users');
+const {
+	validateTtl,
+	isInvitationValid,
+	revokeInvitations,
+	createInvitation,
+	findValidInvitation,
+	toPublicInvitation
+} = require('./invitations');
+
 // Create the Express application and set the port.
 const app = express();
 const PORT = 5000;
@@ -38,25 +93,38 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // Serve static files from the "public" directory.
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Path to the local database file.
-const DB_PATH = path.join(__dirname, '../data/db.json');
+// Storage backend holding the database (JSON file by default, see DB_BACKEND and DB_PATH).
+const storage = createStorageFromEnv();
 
 // In-memory database object.
-let dbData = { sessions: [], submissions: [] };
+let dbData = createEmptyData();
 
-// Load database from file or create it if it doesn't exist.
+// Load database from storage (created empty if it doesn't exist),
+// writing back any migration applied to data from an older version and dropping expired trash.
 function loadDatabase() {
-	if (fs.existsSync(DB_PATH)) {
-		const data = fs.readFileSync(DB_PATH);
-		dbData = JSON.parse(data);
-	} else {
-		saveDatabase();
+	dbData = storage.load();
+
+	// Only write when something changed, so starting the server leaves an up-to-date database untouched.
+	if (purgeExpiredTrash(dbData) > 0 || storage.wasUpgraded()) {
+		storage.save(dbData);
+	}
+}
+
+// Save the current database state to storage.
+// Audited routes pass their response: the save then waits for the audit entry of the change,
+// so the change and its entry are written at once (see audit()).
+function saveDatabase(res) {
+	if (res && res.locals.audited) {
+		res.locals.savePending = true;
+		return;
 	}
+
+	storage.save(dbData);
 }
 
-// Save the current database state to the file.
-function saveDatabase() {
-	fs.writeFileSync(DB_PATH, JSON.stringify(dbData, null, 2));
+// Get the submissions that haven't been withdrawn by their jury.
+function getActiveSubmissions() {
+	return dbData.submissions.filter((sub) => !sub.withdrawnAt);
 }
 
 // Initialize the database at startup.
@@ -67,37 +135,195 @@ loadDatabase();
 // AUTHENTICATION ROUTES 
 // =====================
 
-// Middleware to check if the user is authenticated.
+// Middleware to check if the user is authenticated with an account or an invitation that is still active.
 function isAuthenticated(req, res, next) {
-	if (req.session.user) {
-		return next();
+	if (req.session.user && req.session.user.invitationId) {
+		const invitation = dbData.invitations.find((i) => i.id === req.session.user.invitationId);
+
+		if (invitation && isInvitationValid(invitation)) {
+			return next();
+		}
+
+		delete req.session.user;
+	} else if (req.session.user) {
+		const account = dbData.users.find((u) => u.id === req.session.user.id);
+
+		if (account && !account.disabled) {
+			// Pick up role changes made by an administrator since login.
+			req.session.user.role = account.role;
+
+			return next();
+		}
+
+		delete req.session.user;
 	}
 
 	return res.status(401).json({ error: 'Unauthorized' });
 }
 
-// Login endpoint with basic validation.
+// Middleware factory to check that the authenticated user has one of the given roles.
+function hasRole(...roles) {
+	return (req, res, next) => {
+		if (roles.includes(req.session.user.role)) {
+			return next();
+		}
+
+		return res.status(403).json({ error: 'Forbidden - Insufficient role for this action.' });
+	};
+}
+
+// Where audited routes find the document they change, to snapshot it before and after the change.
+// `body` is the response of the route once it has run.
+const AUDIT_TARGETS = {
+	session: (req, body) => {
+		const id = body && body.session ? body.session.id : req.params.id;
+
+		return dbData.sessions.find((s) => s.id === id) || null;
+	},
+	user: (req, body) => {
+		const id = body && body.user ? body.user.id : req.params.id;
+		const userFound = dbData.users.find((u) => u.id === id);
+
+		return userFound ? toPublicUser(userFound) : null;
+	},
+	evaluation: (req, body) => {
+		const id = body && body.submission ? body.submission.id : req.params.id;
+
+		return dbData.submissions.find((sub) => sub.id === id) || null;
+	},
+	trash: (req) => {
+		const item = dbData.trash.find((t) => t.id === req.params.id);
+
+		return item ? toTrashSummary(item) : null;
+	}
+};
+
+// Middleware factory recording the successful changes made by a route in the audit log,
+// with a snapshot of the changed document (see AUDIT_TARGETS) before and after the change.
+// Dry runs change nothing and aren't recorded. The route's own save is held until its response,
+// and made once along with the audit entry.
+function audit(action, target) {
+	return (req, res, next) => {
+		const before = snapshot(AUDIT_TARGETS[target](req));
+		const json = res.json.bind(res);
+
+		res.locals.audited = true;
+
+		res.json = (body) => {
+			if (res.statusCode < 400 && !(body && body.dryRun)) {
+				const after = AUDIT_TARGETS[target](req, body);
+				const doc = after || before;
+
+				recordAudit(dbData, {
+					actor: req.session.user,
+					action,
+					method: req.method,
+					route: req.originalUrl,
+					sessionId: doc && (target === 'session' ? doc.id : doc.sessionId),
+					before,
+					after,
+					ip: req.ip
+				});
+
+				res.locals.savePending = true;
+			}
+
+			if (res.locals.savePending) {
+				saveDatabase();
+			}
+
+			return json(body);
+		};
+
+		next();
+	};
+}
+
+// Roles allowed to manage sessions and rosters, and to read every evaluation of their campus.
+const MANAGER_ROLES = ['admin', 'staff'];
+
+// Check whether a user may see the results of a session: viewers only once they are published.
+function canSeeResults(user, sessionFound) {
+	return user.role !== 'viewer' || getSessionStatus(sessionFound) === 'published';
+}
+
+// Prepare a session to be sent to a user, with the rubric it is evaluated against (the default grid for
+// sessions created before rubrics existed). Users who don't manage the session only get the names and ids
+// of its juries and students, not their contact details or linked accounts.
+function toSessionView(user, sessionFound) {
+	const sessionView = { ...sessionFound, rubric: getSessionRubric(sessionFound) };
+
+	if (MANAGER_ROLES.includes(user.role)) {
+		return sessionView;
+	}
+
+	return {
+		...sessionView,
+		juries: sessionFound.juries.map(({ id, name }) => ({ id, name })),
+		students: sessionFound.students.map(({ id, name }) => ({ id, name }))
+	};
+}
+
+// Interval between the heartbeats sent on live result streams.
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+// Find the jury of a session a user evaluates as: the one they were invited as,
+// or the one linked to their jury account.
+function findOwnJury(user, sessionFound) {
+	if (user.juryId) {
+		return sessionFound.juries.find((j) => j.id === user.juryId) || null;
+	}
+
+	return sessionFound.juries.find((j) => j.userId === user.id) || null;
+}
+
+// Check whether a user may act on an evaluation: jury members only own theirs,
+// and invited juries only within the session they were invited to.
+function canAccessEvaluation(user, submission) {
+	if (user.sessionId && submission.sessionId !== user.sessionId) {
+		return false;
+	}
+
+	if (user.role !== 'jury') {
+		return true;
+	}
+
+	const sessionFound = dbData.sessions.find((s) => s.id === submission.sessionId);
+	const ownJury = sessionFound ? findOwnJury(user, sessionFound) : null;
+
+	return ownJury !== null && submission.juryId === ownJury.id;
+}
+
+// Login endpoint checking the stored account credentials.
+// The session is regenerated on login so that a session id known before signing in cannot be reused.
 app.post('/api/login', (req, res) => {
 	const { username, password } = req.body;
-	const validUsernames = [
-		'Bordeaux',
-		'Dijon',
-		'Fréjus',
-		'Laval',
-		'Lille',
-		'Paris',
-		'Rennes',
-		'Thonon',
-		'Toulouse'
-	];
-
-	if (validUsernames.includes(username) && password === 'demo') {
-		req.session.user = { username, campus: username };
+	const account = username ? findUserByUsername(dbData.users, username) : null;
+
+	if (
+		account &&
+		!account.disabled &&
+		typeof password === 'string' &&
+		verifyPassword(password, account.passwordSalt, account.passwordHash)
+	) {
+		return req.session.regenerate((err) => {
+			if (err) {
+				return res.status(500).json({ error: 'Could not log in. Please try again.' });
+			}
+
+			req.session.user = {
+				id: account.id,
+				username: account.username,
+				campus: account.campus,
+				role: account.role,
+				sessionId: null
+			};
 
-		return res.json({
-			success: true,
-			message: 'Logged in successfully!',
-			campus: username
+			return res.json({
+				success: true,
+				message: 'Logged in successfully!',
+				campus: account.campus
+			});
 		});
 	}
 
@@ -107,6 +333,41 @@ app.post('/api/login', (req, res) => {
 	});
 });
 
+// Invitation link: signs an external jury into the evaluation form of their session,
+// in a new session like a login.
+app.get('/api/invite/:token', (req, res) => {
+	const invitation = findValidInvitation(dbData.invitations, req.params.token);
+
+	if (!invitation) {
+		return res.status(404).json({ error: 'Invitation not found or expired.' });
+	}
+
+	const sessionFound = dbData.sessions.find((s) => s.id === invitation.sessionId);
+	const jury = sessionFound ? sessionFound.juries.find((j) => j.id === invitation.juryId) : null;
+
+	if (!jury) {
+		return res.status(404).json({ error: 'Invitation not found or expired.' });
+	}
+
+	return req.session.regenerate((err) => {
+		if (err) {
+			return res.status(500).json({ error: 'Could not open the invitation. Please try again.' });
+		}
+
+		req.session.user = {
+			id: invitation.id,
+			username: jury.name,
+			campus: sessionFound.campus,
+			role: 'jury',
+			juryId: jury.id,
+			sessionId: invitation.sessionId,
+			invitationId: invitation.id
+		};
+
+		return res.redirect(`/form.html?sessionId=${encodeURIComponent(invitation.sessionId)}`);
+	});
+});
+
 // Logout endpoint that destroys the session and redirects home.
 app.get('/api/logout', (req, res) => {
 	req.session.destroy((err) => {
@@ -119,6 +380,157 @@ app.get('/api/logout', (req, res) => {
 });
 
 
+// ==========================
+// USER ADMINISTRATION ROUTES
+// ==========================
+
+// List the accounts of the administrator's campus.
+app.get('/api/users', isAuthenticated, hasRole('admin'), (req, res) => {
+	const users = dbData.users
+		.filter((u) => u.campus === req.session.user.campus)
+		.map(toPublicUser);
+
+	return res.json(users);
+});
+
+// Create an account in the administrator's campus.
+app.post('/api/users', isAuthenticated, hasRole('admin'), audit('user.create', 'user'), (req, res) => {
+	const { username, password, role, juryName } = req.body;
+
+	if (role !== undefined && !CAMPUS_ROLES.includes(role)) {
+		return res.status(400).json({ error: `Role must be one of: ${CAMPUS_ROLES.join(', ')}.` });
+	}
+
+	const { user, error } = createUser(dbData.users, {
+		username,
+		password,
+		campus: req.session.user.campus,
+		role: role || 'staff',
+		juryName
+	});
+
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	saveDatabase(res);
+
+	return res.json({
+		message: 'User created successfully.',
+		user: toPublicUser(user)
+	});
+});
+
+// Enable or disable an account, or change its role or jury name.
+app.patch('/api/users/:id', isAuthenticated, hasRole('admin'), audit('user.update', 'user'), (req, res) => {
+	const { disabled, role, juryName } = req.body;
+	const userFound = dbData.users.find((u) => u.id === req.params.id);
+
+	if (!userFound) {
+		return res.status(404).json({ error: 'User not found.' });
+	}
+
+	if (userFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - User belongs to another campus.' });
+	}
+
+	if (userFound.id === req.session.user.id) {
+		return res.status(400).json({ error: 'You cannot change your own account status or role.' });
+	}
+
+	if (disabled !== undefined && typeof disabled !== 'boolean') {
+		return res.status(400).json({ error: 'Disabled must be true or false.' });
+	}
+
+	if (role !== undefined && !CAMPUS_ROLES.includes(role)) {
+		return res.status(400).json({ error: `Role must be one of: ${CAMPUS_ROLES.join(', ')}.` });
+	}
+
+	if (juryName !== undefined && (typeof juryName !== 'string' || juryName.trim() === '')) {
+		return res.status(400).json({ error: 'Jury name must not be empty.' });
+	}
+
+	if (disabled !== undefined) {
+		userFound.disabled = disabled;
+	}
+
+	if (role !== undefined) {
+		userFound.role = role;
+	}
+
+	if (juryName !== undefined) {
+		userFound.juryName = juryName.trim();
+	}
+
+	if (userFound.role === 'jury' && !userFound.juryName) {
+		userFound.juryName = userFound.username;
+	}
+
+	saveDatabase(res);
+
+	return res.json({
+		message: 'User updated successfully.',
+		user: toPublicUser(userFound)
+	});
+});
+
+// Reset the password of an account.
+app.post('/api/users/:id/password', isAuthenticated, hasRole('admin'), audit('user.password-reset', 'user'), (req, res) => {
+	const { password } = req.body;
+	const userFound = dbData.users.find((u) => u.id === req.params.id);
+
+	if (!userFound) {
+		return res.status(404).json({ error: 'User not found.' });
+	}
+
+	if (userFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - User belongs to another campus.' });
+	}
+
+	const passwordError = setPassword(userFound, password);
+
+	if (passwordError) {
+		return res.status(400).json({ error: passwordError });
+	}
+
+	saveDatabase(res);
+
+	return res.json({ message: 'Password reset successfully.' });
+});
+
+
+// ================
+// AUDIT LOG ROUTES
+// ================
+
+// Query the audit log of the administrator's campus, newest first.
+// Filters: `actor` (user id or username), `action` (or a kind of action, e.g. "roster."), `sessionId`,
+// `from` and `to` (dates and times) and `limit`.
+app.get('/api/audit', isAuthenticated, hasRole('admin'), (req, res) => {
+	const { filters, error } = parseAuditFilters(req.query);
+
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	return res.json(queryAuditLog(dbData.auditLog, req.session.user.campus, filters).slice(0, filters.limit));
+});
+
+// Export the audit log of the administrator's campus as JSON Lines, with the same filters but no limit.
+app.get('/api/audit.jsonl', isAuthenticated, hasRole('admin'), (req, res) => {
+	const { filters, error } = parseAuditFilters(req.query);
+
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	const entries = queryAuditLog(dbData.auditLog, req.session.user.campus, filters);
+
+	res.attachment('audit-log.jsonl');
+	return res.type('application/x-ndjson; charset=utf-8').send(toJsonLines(entries));
+});
+
+
 // =============================
 // SESSIONS & SUBMISSIONS ROUTES 
 // =============================
@@ -128,7 +540,10 @@ app.get('/api/checkSession', (req, res) => {
 	if (req.session.user) {
 		return res.json({
 			loggedIn: true,
-			campus: req.session.user.campus
+			campus: req.session.user.campus,
+			username: req.session.user.username,
+			role: req.session.user.role,
+			sessionId: req.session.user.sessionId || null
 		});
 	}
 
@@ -138,33 +553,58 @@ app.get('/api/checkSession', (req, res) => {
 	});
 });
 
-// Retrieve sessions for the logged-in user's campus.
+// Retrieve sessions for the logged-in user's campus (only assigned ones for jury members,
+// and only the session they were invited to for invited juries).
 app.get('/api/sessions', isAuthenticated, (req, res) => {
-	const userCampus = req.session.user.campus;
-	const sessions = dbData.sessions.filter((s) => s.campus === userCampus);
+	const { campus: userCampus, role, sessionId } = req.session.user;
+	const sessions = dbData.sessions.filter((s) => {
+		return (
+			s.campus === userCampus &&
+			(role !== 'jury' || findOwnJury(req.session.user, s) !== null) &&
+			(!sessionId || s.id === sessionId)
+		);
+	});
 
-	return res.json(sessions);
+	return res.json(sessions.map((s) => toSessionView(req.session.user, s)));
 });
 
-// Create a new session under the user's campus.
-app.post('/api/sessions', isAuthenticated, (req, res) => {
-	const { name } = req.body;
+// Create a new session under the user's campus, with an optional custom rubric and grading.
+// Sessions start as drafts, to be opened once their rosters are set up.
+app.post('/api/sessions', isAuthenticated, hasRole(...MANAGER_ROLES), audit('session.create', 'session'), (req, res) => {
+	const { name, rubric, grading } = req.body;
 
 	if (!name) {
 		return res.status(400).json({ error: 'Session name is required.' });
 	}
 
+	const rubricError = rubric ? validateRubric(rubric) : null;
+
+	if (rubricError) {
+		return res.status(400).json({ error: rubricError });
+	}
+
+	const gradingError = grading ? validateGrading(grading) : null;
+
+	if (gradingError) {
+		return res.status(400).json({ error: gradingError });
+	}
+
 	const newSession = {
 		id: uuidv4(),
 		name,
 		campus: req.session.user.campus,
+		rubric: normalizeRubric(rubric || DEFAULT_RUBRIC),
+		grading: normalizeGrading(grading || DEFAULT_GRADING),
 		juries: [],
-		students: []
+		students: [],
+		teams: [],
+		status: 'draft',
+		statusHistory: [{ from: null, to: 'draft', at: new Date().toISOString(), by: req.session.user.id }]
 	};
 
 	dbData.sessions.push(newSession);
 
-	saveDatabase();
+	saveDatabase(res);
 
 	return res.json({
 		message: 'Session created successfully!',
@@ -172,45 +612,40 @@ app.post('/api/sessions', isAuthenticated, (req, res) => {
 	});
 });
 
-// Delete a session if it belongs to the user's campus.
-app.delete('/api/sessions/:id', isAuthenticated, (req, res) => {
-	const sessionId = req.params.id;
-	const sessionIndex = dbData.sessions.findIndex((s) => s.id === sessionId);
+// Delete a session if it belongs to the user's campus and its results are not published.
+// The session moves to the trash with its submissions and invitations, and can be restored from there.
+app.delete('/api/sessions/:id', isAuthenticated, hasRole(...MANAGER_ROLES), audit('session.delete', 'session'), (req, res) => {
+	const sessionToDelete = dbData.sessions.find((s) => s.id === req.params.id);
 
-	if (sessionIndex === -1) {
+	if (!sessionToDelete) {
 		return res.status(404).json({ error: 'Session not found.' });
 	}
 
-	const sessionToDelete = dbData.sessions[sessionIndex];
-
 	if (sessionToDelete.campus !== req.session.user.campus) {
 		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
 	}
 
-	// Remove the session and any associated submissions.
-	dbData.sessions.splice(sessionIndex, 1);
-	dbData.submissions = dbData.submissions.filter(
-		(sub) => sub.sessionId !== sessionId
-	);
+	const statusError = checkSessionStatus(sessionToDelete, 'deletion');
 
-	saveDatabase();
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
 
-	return res.json({ message: 'Session deleted successfully.' });
-});
+	const trashItem = trashSession(dbData, sessionToDelete, req.session.user.id);
 
+	saveDatabase(res);
+	publishSessionEvent(sessionToDelete.id, 'session', 'deleted');
 
-// ========================
-// JURIES & STUDENTS ROUTES 
-// ========================
+	return res.json({
+		message: 'Session deleted successfully.',
+		trashId: trashItem.id
+	});
+});
 
-// Add a jury to an existing session if authorized.
-app.post('/api/sessions/:id/juries', isAuthenticated, (req, res) => {
+// Move a session to another state of its lifecycle (draft, open, closed or published).
+app.post('/api/sessions/:id/status', isAuthenticated, hasRole(...MANAGER_ROLES), audit('session.status', 'session'), (req, res) => {
 	const sessionId = req.params.id;
-	const { juryName } = req.body;
-
-	if (!juryName) {
-		return res.status(400).json({ error: 'Jury name is required.' });
-	}
+	const { status } = req.body;
 
 	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
 
@@ -222,20 +657,28 @@ app.post('/api/sessions/:id/juries', isAuthenticated, (req, res) => {
 		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
 	}
 
-	sessionFound.juries.push(juryName);
+	const hasEvaluations = getActiveSubmissions().some((sub) => sub.sessionId === sessionId);
+	const transitionError = validateTransition(sessionFound, status, hasEvaluations);
+
+	if (transitionError) {
+		return res.status(transitionError.code).json({ error: transitionError.error });
+	}
+
+	applyTransition(sessionFound, status, req.session.user.id);
 
-	saveDatabase();
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'session', `status-${status}`);
 
 	return res.json({
-		message: 'Jury added successfully.',
+		message: `Session is now ${status}.`,
 		session: sessionFound
 	});
 });
 
-// Remove a jury from an existing session if authorized.
-app.delete('/api/sessions/:id/juries', isAuthenticated, (req, res) => {
+// Replace the rubric of a session, as long as no evaluation has been submitted yet.
+app.put('/api/sessions/:id/rubric', isAuthenticated, hasRole(...MANAGER_ROLES), audit('session.rubric', 'session'), (req, res) => {
 	const sessionId = req.params.id;
-	const { juryName } = req.body;
+	const { rubric } = req.body;
 
 	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
 
@@ -247,24 +690,37 @@ app.delete('/api/sessions/:id/juries', isAuthenticated, (req, res) => {
 		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
 	}
 
-	sessionFound.juries = sessionFound.juries.filter((j) => j !== juryName);
+	const statusError = checkSessionStatus(sessionFound, 'rubric');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const rubricError = validateRubric(rubric);
+
+	if (rubricError) {
+		return res.status(400).json({ error: rubricError });
+	}
+
+	if (getActiveSubmissions().some((sub) => sub.sessionId === sessionId)) {
+		return res.status(409).json({ error: 'Rubric cannot be changed once evaluations have been submitted.' });
+	}
+
+	sessionFound.rubric = normalizeRubric(rubric);
 
-	saveDatabase();
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'session', 'rubric-updated');
 
 	return res.json({
-		message: 'Jury deleted successfully.',
+		message: 'Rubric updated successfully.',
 		session: sessionFound
 	});
 });
 
-// Add a student to an existing session if authorized.
-app.post('/api/sessions/:id/students', isAuthenticated, (req, res) => {
+// Replace the grading scale, pass mark and grade bands of a session.
+app.put('/api/sessions/:id/grading', isAuthenticated, hasRole(...MANAGER_ROLES), audit('session.grading', 'session'), (req, res) => {
 	const sessionId = req.params.id;
-	const { studentName } = req.body;
-
-	if (!studentName) {
-		return res.status(400).json({ error: 'Student name is required.' });
-	}
+	const { grading } = req.body;
 
 	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
 
@@ -276,20 +732,72 @@ app.post('/api/sessions/:id/students', isAuthenticated, (req, res) => {
 		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
 	}
 
-	sessionFound.students.push(studentName);
+	const statusError = checkSessionStatus(sessionFound, 'grading');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const gradingError = validateGrading(grading);
+
+	if (gradingError) {
+		return res.status(400).json({ error: gradingError });
+	}
+
+	sessionFound.grading = normalizeGrading(grading);
 
-	saveDatabase();
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'session', 'grading-updated');
 
 	return res.json({
-		message: 'Student added successfully.',
+		message: 'Grading updated successfully.',
 		session: sessionFound
 	});
 });
 
-// Remove a student from an existing session if authorized.
-app.delete('/api/sessions/:id/students', isAuthenticated, (req, res) => {
+
+// ========================
+// JURIES & STUDENTS ROUTES 
+// ========================
+
+// Build the link an invited jury opens to reach the evaluation form.
+function buildInvitationUrl(req, token) {
+	return `${req.protocol}://${req.get('host')}/api/invite/${token}`;
+}
+
+// Check the account linked to a jury of the session: it must be a jury account of the campus,
+// linked to no other jury of the session. `juryId` is the jury being updated, if any.
+// Returns an error message, or null if the link is valid.
+function validateJuryAccount(sessionFound, userId, juryId = null) {
+	if (userId === undefined || userId === null) {
+		return null;
+	}
+
+	const account = dbData.users.find((u) => u.id === userId);
+
+	if (!account || account.campus !== sessionFound.campus || account.role !== 'jury') {
+		return 'Linked account must be a jury account of this campus.';
+	}
+
+	if (sessionFound.juries.some((j) => j.userId === userId && j.id !== juryId)) {
+		return 'This account is already linked to another jury of the session.';
+	}
+
+	return null;
+}
+
+// Add a jury to an existing session if authorized, along with their invitation link.
+// The jury can also be linked to a jury account (`userId`), which then evaluates as this jury
+// and whose jury name is used when no name is given.
+app.post('/api/sessions/:id/juries', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.jury-add', 'session'), (req, res) => {
 	const sessionId = req.params.id;
-	const { studentName } = req.body;
+	const { userId, expiresInHours } = req.body;
+
+	const ttlError = validateTtl(expiresInHours);
+
+	if (ttlError) {
+		return res.status(400).json({ error: ttlError });
+	}
 
 	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
 
@@ -301,192 +809,1371 @@ app.delete('/api/sessions/:id/students', isAuthenticated, (req, res) => {
 		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
 	}
 
-	sessionFound.students = sessionFound.students.filter((st) => st !== studentName);
+	const statusError = checkSessionStatus(sessionFound, 'roster');
 
-	saveDatabase();
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
 
-	return res.json({
-		message: 'Student deleted successfully.',
-		session: sessionFound
-	});
-});
+	const accountError = validateJuryAccount(sessionFound, userId);
+
+	if (accountError) {
+		return res.status(400).json({ error: accountError });
+	}
 
+	const account = userId ? dbData.users.find((u) => u.id === userId) : null;
+	const profile = account && !req.body.name ? { ...req.body, name: account.juryName } : req.body;
+	const profileError = validateProfile('juries', profile);
 
-// ============================
-// EVALUATIONS & RESULTS ROUTES
-// ============================
+	if (profileError) {
+		return res.status(400).json({ error: profileError });
+	}
+
+	const jury = buildRosterEntry('juries', profile);
+	jury.userId = userId || null;
 
-// Submit an evaluation for a student from a specific jury.
-app.post('/api/submitEvaluation', isAuthenticated, (req, res) => {
-	const {
+	sessionFound.juries.push(jury);
+
+	const { invitation, token } = createInvitation(dbData.invitations, {
 		sessionId,
-		juryName,
-		studentName,
-		introductionTeam,
-		projectInspiration,
-		technologyArchitecture,
-		algorithmsCode,
-		processCollaboration,
-		challengesFaced,
-		technicalLearnings,
-		audibles,
-		clarity,
-		fewFillerWords,
-		stagePosition,
-		confidentPosture,
-		professionalAttire,
-		timeManagement,
-		energy,
-		audienceInteraction,
-		projectFunctionality,
-		questionsAnswers,
-		studentComments
-	} = req.body;
+		juryId: jury.id,
+		ttlHours: expiresInHours
+	});
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'jury-added');
+
+	return res.json({
+		message: 'Jury added successfully.',
+		jury,
+		session: sessionFound,
+		invitation: {
+			...toPublicInvitation(invitation),
+			url: buildInvitationUrl(req, token)
+		}
+	});
+});
+
+// Rename a jury, edit their profile or change the account linked to them.
+// Their evaluations and invitations follow, as they refer to the jury by id.
+app.patch('/api/sessions/:id/juries/:juryId', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.jury-update', 'session'), (req, res) => {
+	const { id: sessionId, juryId } = req.params;
+	const { userId } = req.body;
 
 	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
 
 	if (!sessionFound) {
-		return res.status(400).json({ error: 'Session does not exist.' });
+		return res.status(404).json({ error: 'Session not found.' });
 	}
 
 	if (sessionFound.campus !== req.session.user.campus) {
 		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
 	}
 
-	if (!sessionFound.juries.includes(juryName)) {
-		return res.status(400).json({ error: 'Jury does not exist in this session.' });
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
 	}
 
-	if (!sessionFound.students.includes(studentName)) {
-		return res.status(400).json({ error: 'Student does not exist in this session.' });
+	const jury = sessionFound.juries.find((j) => j.id === juryId);
+
+	if (!jury) {
+		return res.status(404).json({ error: 'Jury not found.' });
 	}
 
-	const newSubmission = {
-		sessionId,
-		juryName,
-		studentName,
-		introductionTeam: parseFloat(introductionTeam),
-		projectInspiration: parseFloat(projectInspiration),
-		technologyArchitecture: parseFloat(technologyArchitecture),
-		algorithmsCode: parseFloat(algorithmsCode),
-		processCollaboration: parseFloat(processCollaboration),
-		challengesFaced: parseFloat(challengesFaced),
-		technicalLearnings: parseFloat(technicalLearnings),
-		audibles: parseFloat(audibles),
-		clarity: parseFloat(clarity),
-		fewFillerWords: parseFloat(fewFillerWords),
-		stagePosition: parseFloat(stagePosition),
-		confidentPosture: parseFloat(confidentPosture),
-		professionalAttire: parseFloat(professionalAttire),
-		timeManagement: parseFloat(timeManagement),
-		energy: parseFloat(energy),
-		audienceInteraction: parseFloat(audienceInteraction),
-		projectFunctionality: parseFloat(projectFunctionality),
-		questionsAnswers: parseFloat(questionsAnswers),
-		studentComments: studentComments || ''
-	};
+	const profileError = validateProfile('juries', req.body, { partial: true }) ||
+		validateJuryAccount(sessionFound, userId, juryId);
 
-	dbData.submissions.push(newSubmission);
+	if (profileError) {
+		return res.status(400).json({ error: profileError });
+	}
+
+	applyProfile('juries', jury, req.body);
 
-	saveDatabase();
+	if (userId !== undefined) {
+		jury.userId = userId;
+	}
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'jury-updated');
 
-	return res.json({ message: 'Evaluation submitted successfully!' });
+	return res.json({
+		message: 'Jury updated successfully.',
+		jury,
+		session: sessionFound
+	});
 });
 
-// Retrieve raw submissions and calculate aggregated results for each student.
-app.get('/api/resultsWithAverages', isAuthenticated, (req, res) => {
-	const campus = req.session.user.campus;
+// Remove a jury from an existing session if authorized, along with their invitation links.
+// A jury who has submitted evaluations is only removed with `?cascade=true`, and their evaluations with them.
+// Either way, the jury moves to the trash and can be restored from there.
+app.delete('/api/sessions/:id/juries/:juryId', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.jury-delete', 'session'), (req, res) => {
+	const { id: sessionId, juryId } = req.params;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
 
-	// Filter sessions and submissions belonging to the user's campus.
-	const campusSessions = dbData.sessions.filter((s) => s.campus === campus);
-	const campusSessionIds = campusSessions.map((s) => s.id);
-	const rawSubmissions = dbData.submissions.filter((sub) => campusSessionIds.includes(sub.sessionId));
-
-	// Aggregate results per sessionId/studentName.
-	const aggregates = {};
-
-	rawSubmissions.forEach((sub) => {
-		const key = `${sub.sessionId}_${sub.studentName}`;
-
-		if (!aggregates[key]) {
-			aggregates[key] = {
-				sessionId: sub.sessionId,
-				studentName: sub.studentName,
-				introductionTeam: 0,
-				projectInspiration: 0,
-				technologyArchitecture: 0,
-				algorithmsCode: 0,
-				processCollaboration: 0,
-				challengesFaced: 0,
-				technicalLearnings: 0,
-				audibles: 0,
-				clarity: 0,
-				fewFillerWords: 0,
-				stagePosition: 0,
-				confidentPosture: 0,
-				professionalAttire: 0,
-				timeManagement: 0,
-				energy: 0,
-				audienceInteraction: 0,
-				projectFunctionality: 0,
-				questionsAnswers: 0,
-				count: 0
-			};
-		}
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	if (!sessionFound.juries.some((j) => j.id === juryId)) {
+		return res.status(404).json({ error: 'Jury not found.' });
+	}
+
+	const evaluationCount = getActiveSubmissions()
+		.filter((sub) => sub.sessionId === sessionId && sub.juryId === juryId)
+		.length;
+
+	if (evaluationCount > 0 && req.query.cascade !== 'true') {
+		return res.status(409).json({
+			error: 'This jury has submitted evaluations. Confirm with cascade=true to remove them along with the jury.',
+			evaluationCount
+		});
+	}
 
-		const agg = aggregates[key];
-		agg.introductionTeam += sub.introductionTeam;
-		agg.projectInspiration += sub.projectInspiration;
-		agg.technologyArchitecture += sub.technologyArchitecture;
-		agg.algorithmsCode += sub.algorithmsCode;
-		agg.processCollaboration += sub.processCollaboration;
-		agg.challengesFaced += sub.challengesFaced;
-		agg.technicalLearnings += sub.technicalLearnings;
-		agg.audibles += sub.audibles;
-		agg.clarity += sub.clarity;
-		agg.fewFillerWords += sub.fewFillerWords;
-		agg.stagePosition += sub.stagePosition;
-		agg.confidentPosture += sub.confidentPosture;
-		agg.professionalAttire += sub.professionalAttire;
-		agg.timeManagement += sub.timeManagement;
-		agg.energy += sub.energy;
-		agg.audienceInteraction += sub.audienceInteraction;
-		agg.projectFunctionality += sub.projectFunctionality;
-		agg.questionsAnswers += sub.questionsAnswers;
-		agg.count += 1;
-	});
-
-	// Compute average scores for each aggregated entry.
-	const aggregated = Object.values(aggregates).map((a) => ({
-		sessionId: a.sessionId,
-		studentName: a.studentName,
-		introductionTeamAvg: a.introductionTeam / a.count,
-		projectInspirationAvg: a.projectInspiration / a.count,
-		technologyArchitectureAvg: a.technologyArchitecture / a.count,
-		algorithmsCodeAvg: a.algorithmsCode / a.count,
-		processCollaborationAvg: a.processCollaboration / a.count,
-		challengesFacedAvg: a.challengesFaced / a.count,
-		technicalLearningsAvg: a.technicalLearnings / a.count,
-		audiblesAvg: a.audibles / a.count,
-		clarityAvg: a.clarity / a.count,
-		fewFillerWordsAvg: a.fewFillerWords / a.count,
-		stagePositionAvg: a.stagePosition / a.count,
-		confidentPostureAvg: a.confidentPosture / a.count,
-		professionalAttireAvg: a.professionalAttire / a.count,
-		timeManagementAvg: a.timeManagement / a.count,
-		energyAvg: a.energy / a.count,
-		audienceInteractionAvg: a.audienceInteraction / a.count,
-		projectFunctionalityAvg: a.projectFunctionality / a.count,
-		questionsAnswersAvg: a.questionsAnswers / a.count
-	}));
+	const trashItem = trashRosterEntry(dbData, sessionFound, 'jury', juryId, req.session.user.id);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'jury-deleted');
 
 	return res.json({
-		rawSubmissions,
-		aggregated,
-		sessions: campusSessions
+		message: 'Jury deleted successfully.',
+		trashId: trashItem.id,
+		session: sessionFound
 	});
 });
 
+// List the invitations of a session, without their tokens.
+app.get('/api/sessions/:id/invitations', isAuthenticated, hasRole(...MANAGER_ROLES), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const invitations = dbData.invitations
+		.filter((i) => i.sessionId === sessionId)
+		.map((i) => ({ ...toPublicInvitation(i), valid: isInvitationValid(i) }));
+
+	return res.json(invitations);
+});
+
+// Issue a new invitation link for a jury of the session, revoking the previous one.
+app.post('/api/sessions/:id/invitations', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.invitation-create', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+	const { juryId, expiresInHours } = req.body;
+
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	if (!sessionFound.juries.some((j) => j.id === juryId)) {
+		return res.status(400).json({ error: 'Jury does not exist in this session.' });
+	}
+
+	const ttlError = validateTtl(expiresInHours);
+
+	if (ttlError) {
+		return res.status(400).json({ error: ttlError });
+	}
+
+	const { invitation, token } = createInvitation(dbData.invitations, {
+		sessionId,
+		juryId,
+		ttlHours: expiresInHours
+	});
+
+	saveDatabase(res);
+
+	return res.json({
+		message: 'Invitation created successfully.',
+		invitation: {
+			...toPublicInvitation(invitation),
+			url: buildInvitationUrl(req, token)
+		}
+	});
+});
+
+// Revoke the invitation links of a jury of the session.
+app.delete('/api/sessions/:id/invitations', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.invitation-revoke', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+	const { juryId } = req.body;
+
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	revokeInvitations(dbData.invitations, sessionId, juryId);
+
+	saveDatabase(res);
+
+	return res.json({ message: 'Invitation revoked successfully.' });
+});
+
+// Add a student to an existing session if authorized.
+app.post('/api/sessions/:id/students', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.student-add', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+
+	const profileError = validateProfile('students', req.body);
+
+	if (profileError) {
+		return res.status(400).json({ error: profileError });
+	}
+
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const student = buildRosterEntry('students', req.body);
+
+	sessionFound.students.push(student);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'student-added');
+
+	return res.json({
+		message: 'Student added successfully.',
+		student,
+		session: sessionFound
+	});
+});
+
+// Rename a student or edit their profile. Their evaluations and team follow, as they refer to the student by id.
+app.patch('/api/sessions/:id/students/:studentId', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.student-update', 'session'), (req, res) => {
+	const { id: sessionId, studentId } = req.params;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const student = sessionFound.students.find((st) => st.id === studentId);
+
+	if (!student) {
+		return res.status(404).json({ error: 'Student not found.' });
+	}
+
+	const profileError = validateProfile('students', req.body, { partial: true });
+
+	if (profileError) {
+		return res.status(400).json({ error: profileError });
+	}
+
+	applyProfile('students', student, req.body);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'student-updated');
+
+	return res.json({
+		message: 'Student updated successfully.',
+		student,
+		session: sessionFound
+	});
+});
+
+// Remove a student from an existing session if authorized.
+// A student who has been evaluated is only removed with `?cascade=true`, and their evaluations with them.
+// Either way, the student moves to the trash and can be restored from there.
+app.delete('/api/sessions/:id/students/:studentId', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.student-delete', 'session'), (req, res) => {
+	const { id: sessionId, studentId } = req.params;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	if (!sessionFound.students.some((st) => st.id === studentId)) {
+		return res.status(404).json({ error: 'Student not found.' });
+	}
+
+	// Team evaluations stay with the team, but the student loses the result they derive from them.
+	const teamIds = (sessionFound.teams || []).filter((t) => t.members.includes(studentId)).map((t) => t.id);
+	const evaluationCount = getActiveSubmissions()
+		.filter((sub) => sub.sessionId === sessionId && (sub.studentId === studentId || teamIds.includes(sub.teamId)))
+		.length;
+
+	if (evaluationCount > 0 && req.query.cascade !== 'true') {
+		return res.status(409).json({
+			error: 'This student has been evaluated, alone or with their team. Confirm with cascade=true to remove them anyway, along with their own evaluations.',
+			evaluationCount
+		});
+	}
+
+	const trashItem = trashRosterEntry(dbData, sessionFound, 'student', studentId, req.session.user.id);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'student-deleted');
+
+	return res.json({
+		message: 'Student deleted successfully.',
+		trashId: trashItem.id,
+		session: sessionFound
+	});
+});
+
+// Create a team of students in a session, with its project name and repository link.
+app.post('/api/sessions/:id/teams', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.team-create', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const teamError = validateTeam(sessionFound, req.body);
+
+	if (teamError) {
+		return res.status(400).json({ error: teamError });
+	}
+
+	const newTeam = buildTeam(req.body);
+
+	sessionFound.teams = sessionFound.teams || [];
+	sessionFound.teams.push(newTeam);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'team-created');
+
+	return res.json({
+		message: 'Team created successfully.',
+		team: newTeam,
+		session: sessionFound
+	});
+});
+
+// Update the name, project, repository link or members of a team.
+app.put('/api/sessions/:id/teams/:teamId', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.team-update', 'session'), (req, res) => {
+	const { id: sessionId, teamId } = req.params;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const teamIndex = (sessionFound.teams || []).findIndex((t) => t.id === teamId);
+
+	if (teamIndex === -1) {
+		return res.status(404).json({ error: 'Team not found.' });
+	}
+
+	const teamError = validateTeam(sessionFound, req.body, teamId);
+
+	if (teamError) {
+		return res.status(400).json({ error: teamError });
+	}
+
+	sessionFound.teams[teamIndex] = buildTeam(req.body, teamId);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'team-updated');
+
+	return res.json({
+		message: 'Team updated successfully.',
+		team: sessionFound.teams[teamIndex],
+		session: sessionFound
+	});
+});
+
+// Delete a team that hasn't been evaluated yet.
+app.delete('/api/sessions/:id/teams/:teamId', isAuthenticated, hasRole(...MANAGER_ROLES), audit('roster.team-delete', 'session'), (req, res) => {
+	const { id: sessionId, teamId } = req.params;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'roster');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	if (!(sessionFound.teams || []).some((t) => t.id === teamId)) {
+		return res.status(404).json({ error: 'Team not found.' });
+	}
+
+	if (getActiveSubmissions().some((sub) => sub.teamId === teamId)) {
+		return res.status(409).json({ error: 'Team cannot be deleted once it has been evaluated.' });
+	}
+
+	sessionFound.teams = sessionFound.teams.filter((t) => t.id !== teamId);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'roster', 'team-deleted');
+
+	return res.json({
+		message: 'Team deleted successfully.',
+		session: sessionFound
+	});
+});
+
+// Import students or juries from CSV or pasted text.
+// The text is sent either as a `text/csv` / `text/plain` body, or as the `csv` field of a JSON body.
+// With `dryRun`, nothing is saved and the per-line report shows what would be imported.
+app.post(
+	'/api/sessions/:id/import',
+	isAuthenticated,
+	hasRole(...MANAGER_ROLES),
+	bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+	audit('roster.import', 'session'),
+	(req, res) => {
+		const sessionId = req.params.id;
+		const isText = typeof req.body === 'string';
+		const type = req.query.type || (isText ? undefined : req.body.type);
+		const text = isText ? req.body : req.body.csv;
+		const dryRun = req.query.dryRun === 'true' || (!isText && req.body.dryRun === true);
+
+		if (!IMPORT_TYPES.includes(type)) {
+			return res.status(400).json({ error: `Import type must be one of: ${IMPORT_TYPES.join(', ')}.` });
+		}
+
+		if (typeof text !== 'string' || text.trim() === '') {
+			return res.status(400).json({ error: 'CSV content is required.' });
+		}
+
+		const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+		if (!sessionFound) {
+			return res.status(404).json({ error: 'Session not found.' });
+		}
+
+		if (sessionFound.campus !== req.session.user.campus) {
+			return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+		}
+
+		const statusError = checkSessionStatus(sessionFound, 'roster');
+
+		if (statusError) {
+			return res.status(409).json({ error: statusError });
+		}
+
+		const rows = validateRoster(parseRoster(type, text), sessionFound[type]);
+		const validRows = rows.filter((row) => row.errors.length === 0);
+
+		if (!dryRun) {
+			validRows.forEach((row) => {
+				const entry = buildRosterEntry(type, row);
+
+				sessionFound[type].push(entry);
+				row.id = entry.id;
+
+				if (type === 'juries') {
+					const { token } = createInvitation(dbData.invitations, { sessionId, juryId: entry.id });
+					row.invitationUrl = buildInvitationUrl(req, token);
+				}
+
+				// The team column puts the student in the team with that name, created if needed.
+				if (type === 'students' && row.team) {
+					let team = (sessionFound.teams || []).find((t) => t.name === row.team);
+
+					if (!team) {
+						team = buildTeam({ name: row.team, projectName: row.project, members: [] });
+						sessionFound.teams = sessionFound.teams || [];
+						sessionFound.teams.push(team);
+					}
+
+					team.members.push(entry.id);
+				}
+			});
+
+			saveDatabase(res);
+			publishSessionEvent(sessionId, 'roster', 'imported');
+		}
+
+		return res.json({
+			message: dryRun ? 'Import preview generated.' : 'Import completed.',
+			dryRun,
+			summary: {
+				total: rows.length,
+				valid: validRows.length,
+				invalid: rows.length - validRows.length
+			},
+			rows,
+			session: sessionFound
+		});
+	}
+);
+
+
+// ===============
+// SCHEDULE ROUTES
+// ===============
+
+// Get the presentation schedule of a session: its rooms with their jury panels, and its time slots.
+app.get('/api/sessions/:id/schedule', isAuthenticated, hasRole(...MANAGER_ROLES, 'viewer', 'jury'), (req, res) => {
+	const sessionFound = dbData.sessions.find((s) => s.id === req.params.id);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	if (req.session.user.role === 'jury' && !findOwnJury(req.session.user, sessionFound)) {
+		return res.status(403).json({ error: 'Forbidden - You are not assigned to this session.' });
+	}
+
+	return res.json(describeSchedule(sessionFound));
+});
+
+// Replace the schedule of a session with one edited by hand.
+app.put('/api/sessions/:id/schedule', isAuthenticated, hasRole(...MANAGER_ROLES), audit('schedule.update', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'schedule');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const scheduleError = validateSchedule(sessionFound, req.body);
+
+	if (scheduleError) {
+		return res.status(400).json({ error: scheduleError });
+	}
+
+	sessionFound.schedule = buildSchedule(req.body);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'session', 'schedule-updated');
+
+	return res.json({
+		message: 'Schedule updated successfully.',
+		schedule: describeSchedule(sessionFound)
+	});
+});
+
+// Generate the schedule of a session, replacing the current one.
+// Presenters take turns from `start`, every `duration` + `gap` minutes, spread across the given `rooms`,
+// and the juries are split into one panel per room.
+app.post('/api/sessions/:id/schedule/generate', isAuthenticated, hasRole(...MANAGER_ROLES), audit('schedule.generate', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'schedule');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const optionsError = validateGenerateOptions(sessionFound, req.body);
+
+	if (optionsError) {
+		return res.status(400).json({ error: optionsError });
+	}
+
+	sessionFound.schedule = generateSchedule(sessionFound, req.body);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'session', 'schedule-generated');
+
+	return res.json({
+		message: 'Schedule generated successfully.',
+		schedule: describeSchedule(sessionFound)
+	});
+});
+
+// Clear the schedule of a session.
+app.delete('/api/sessions/:id/schedule', isAuthenticated, hasRole(...MANAGER_ROLES), audit('schedule.clear', 'session'), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'schedule');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	delete sessionFound.schedule;
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'session', 'schedule-cleared');
+
+	return res.json({ message: 'Schedule cleared successfully.' });
+});
+
+// Get the presentation a jury is attending right now, and the next one in their room.
+// Jury members get their own; campus staff pick the jury with `juryId`.
+app.get('/api/sessions/:id/schedule/current', isAuthenticated, hasRole(...MANAGER_ROLES, 'jury'), (req, res) => {
+	const sessionFound = dbData.sessions.find((s) => s.id === req.params.id);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const ownJury = req.session.user.role === 'jury' ? findOwnJury(req.session.user, sessionFound) : null;
+
+	if (req.session.user.role === 'jury' && !ownJury) {
+		return res.status(403).json({ error: 'Forbidden - You are not assigned to this session.' });
+	}
+
+	const jury = ownJury || sessionFound.juries.find((j) => j.id === req.query.juryId);
+
+	if (!jury) {
+		return res.status(400).json({ error: 'Jury does not exist in this session.' });
+	}
+
+	const room = findJuryRoom(sessionFound, jury.id);
+
+	return res.json({
+		juryId: jury.id,
+		juryName: jury.name,
+		roomId: room ? room.id : null,
+		roomName: room ? room.name : null,
+		current: describeSlot(sessionFound, findCurrentSlot(sessionFound, jury.id)),
+		next: describeSlot(sessionFound, findNextSlot(sessionFound, jury.id))
+	});
+});
+
+// ============
+// TRASH ROUTES
+// ============
+
+// List the deleted sessions, juries and students of the campus that can still be restored.
+app.get('/api/trash', isAuthenticated, hasRole(...MANAGER_ROLES), (req, res) => {
+	purgeExpiredTrash(dbData);
+
+	const items = dbData.trash
+		.filter((item) => item.campus === req.session.user.campus)
+		.map(toTrashSummary);
+
+	return res.json(items);
+});
+
+// Restore a deleted session, jury or student along with their evaluations.
+app.post('/api/trash/:id/restore', isAuthenticated, hasRole(...MANAGER_ROLES), audit('trash.restore', 'trash'), (req, res) => {
+	const item = dbData.trash.find((t) => t.id === req.params.id);
+
+	if (!item || isTrashItemExpired(item)) {
+		return res.status(404).json({ error: 'Trash item not found or expired.' });
+	}
+
+	if (item.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Trash item belongs to another campus.' });
+	}
+
+	const targetSession = dbData.sessions.find((s) => s.id === item.sessionId);
+	const statusError = item.type !== 'session' && targetSession ? checkSessionStatus(targetSession, 'roster') : null;
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const restoreError = restoreTrashItem(dbData, item);
+
+	if (restoreError) {
+		return res.status(409).json({ error: restoreError });
+	}
+
+	saveDatabase(res);
+	publishSessionEvent(item.sessionId, item.type === 'session' ? 'session' : 'roster', `${item.type}-restored`);
+
+	return res.json({
+		message: 'Restored successfully.',
+		session: dbData.sessions.find((s) => s.id === item.sessionId)
+	});
+});
+
+// Permanently delete an item of the trash.
+app.delete('/api/trash/:id', isAuthenticated, hasRole(...MANAGER_ROLES), audit('trash.delete', 'trash'), (req, res) => {
+	const item = dbData.trash.find((t) => t.id === req.params.id);
+
+	if (!item) {
+		return res.status(404).json({ error: 'Trash item not found or expired.' });
+	}
+
+	if (item.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Trash item belongs to another campus.' });
+	}
+
+	dbData.trash = dbData.trash.filter((t) => t.id !== item.id);
+
+	saveDatabase(res);
+
+	return res.json({ message: 'Permanently deleted.' });
+});
+
+
+// ============================
+// EVALUATIONS & RESULTS ROUTES
+// ============================
+
+// Submit an evaluation from a specific jury (`juryId`), scored against the session rubric.
+// The evaluation targets either a single student (`studentId`) or a whole team (`teamId`),
+// in which case individual criteria can be scored per member in `memberScores`, keyed by student id.
+// Without either, it targets whoever presents in the jury's room right now, according to the schedule.
+// Jury members always submit as themselves; campus staff may submit on behalf of any jury.
+app.post('/api/submitEvaluation', isAuthenticated, hasRole(...MANAGER_ROLES, 'jury'), audit('evaluation.submit', 'evaluation'), (req, res) => {
+	const { sessionId, studentId, teamId, studentComments } = req.body;
+	const { role } = req.session.user;
+
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(400).json({ error: 'Session does not exist.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	if (req.session.user.sessionId && req.session.user.sessionId !== sessionId) {
+		return res.status(403).json({ error: 'Forbidden - Your invitation is for another session.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'evaluations');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const ownJury = role === 'jury' ? findOwnJury(req.session.user, sessionFound) : null;
+
+	if (role === 'jury' && !ownJury) {
+		return res.status(403).json({ error: 'Forbidden - You are not assigned to this session.' });
+	}
+
+	if (ownJury && req.body.juryId && req.body.juryId !== ownJury.id) {
+		return res.status(403).json({ error: 'Forbidden - Jury members can only submit their own evaluations.' });
+	}
+
+	const jury = ownJury || sessionFound.juries.find((j) => j.id === req.body.juryId);
+
+	if (!jury) {
+		return res.status(400).json({ error: 'Jury does not exist in this session.' });
+	}
+
+	const target = studentId || teamId ? { studentId, teamId } : findCurrentSlot(sessionFound, jury.id);
+
+	if (!target) {
+		return res.status(400).json({ error: 'No presentation is under way for this jury: choose a student or a team.' });
+	}
+
+	const team = target.teamId ? (sessionFound.teams || []).find((t) => t.id === target.teamId) : null;
+
+	if (target.teamId && !team) {
+		return res.status(400).json({ error: 'Team does not exist in this session.' });
+	}
+
+	const student = team ? null : sessionFound.students.find((st) => st.id === target.studentId);
+
+	if (!team && !student) {
+		return res.status(400).json({ error: 'Student does not exist in this session.' });
+	}
+
+	const studentTeam = student ? findStudentTeam(sessionFound, student.id) : null;
+
+	if (studentTeam) {
+		return res.status(400).json({ error: `Student belongs to team "${studentTeam.name}": evaluate the team instead.` });
+	}
+
+	const existingSubmission = getActiveSubmissions().find((sub) => {
+		return (
+			sub.sessionId === sessionId &&
+			sub.juryId === jury.id &&
+			(team ? sub.teamId === team.id : sub.studentId === student.id)
+		);
+	});
+
+	if (existingSubmission) {
+		return res.status(409).json({
+			error: team ? 'This jury has already evaluated this team.' : 'This jury has already evaluated this student.',
+			submissionId: existingSubmission.id
+		});
+	}
+
+	const rubric = getSessionRubric(sessionFound);
+	const { scores, memberScores, errors } = team
+		? validateTeamEvaluation(rubric, req.body, team.members)
+		: validateEvaluation(rubric, req.body);
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			error: 'Invalid evaluation.',
+			details: errors
+		});
+	}
+
+	const now = new Date().toISOString();
+
+	const newSubmission = {
+		id: uuidv4(),
+		sessionId,
+		juryId: jury.id,
+		studentId: team ? null : student.id,
+		...(team ? { teamId: team.id, memberScores } : {}),
+		...scores,
+		studentComments: studentComments || '',
+		submittedBy: req.session.user.id,
+		createdAt: now,
+		updatedAt: now,
+		withdrawnAt: null,
+		history: []
+	};
+
+	dbData.submissions.push(newSubmission);
+
+	saveDatabase(res);
+	publishSessionEvent(sessionId, 'evaluation', 'submitted');
+
+	return res.json({
+		message: 'Evaluation submitted successfully!',
+		submission: newSubmission
+	});
+});
+
+// List the active evaluations of the user's campus (only their own for jury members),
+// optionally filtered by session, jury, student or team, with the current names of their jury and student.
+app.get('/api/evaluations', isAuthenticated, hasRole(...MANAGER_ROLES, 'jury'), (req, res) => {
+	const { sessionId, juryId, studentId, teamId } = req.query;
+	const campusSessions = dbData.sessions.filter((s) => s.campus === req.session.user.campus);
+	const campusSessionIds = campusSessions.map((s) => s.id);
+	const submissions = getActiveSubmissions().filter((sub) => {
+		return (
+			campusSessionIds.includes(sub.sessionId) &&
+			canAccessEvaluation(req.session.user, sub) &&
+			(!sessionId || sub.sessionId === sessionId) &&
+			(!juryId || sub.juryId === juryId) &&
+			(!studentId || sub.studentId === studentId) &&
+			(!teamId || sub.teamId === teamId)
+		);
+	});
+
+	return res.json(submissions.map((sub) => withRosterNames(campusSessions, sub)));
+});
+
+// Retrieve a single evaluation, including its edit history.
+app.get('/api/evaluations/:id', isAuthenticated, hasRole(...MANAGER_ROLES, 'jury'), (req, res) => {
+	const submissionFound = dbData.submissions.find((sub) => sub.id === req.params.id);
+
+	if (!submissionFound) {
+		return res.status(404).json({ error: 'Evaluation not found.' });
+	}
+
+	const sessionFound = dbData.sessions.find((s) => s.id === submissionFound.sessionId);
+
+	if (!sessionFound || sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Evaluation belongs to another campus.' });
+	}
+
+	if (!canAccessEvaluation(req.session.user, submissionFound)) {
+		return res.status(403).json({ error: 'Forbidden - Evaluation belongs to another jury.' });
+	}
+
+	return res.json(withRosterNames([sessionFound], submissionFound));
+});
+
+// Update an evaluation, keeping the previous scores in its history.
+app.put('/api/evaluations/:id', isAuthenticated, hasRole(...MANAGER_ROLES, 'jury'), audit('evaluation.update', 'evaluation'), (req, res) => {
+	const submissionFound = dbData.submissions.find((sub) => sub.id === req.params.id);
+
+	if (!submissionFound || submissionFound.withdrawnAt) {
+		return res.status(404).json({ error: 'Evaluation not found.' });
+	}
+
+	const sessionFound = dbData.sessions.find((s) => s.id === submissionFound.sessionId);
+
+	if (!sessionFound || sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Evaluation belongs to another campus.' });
+	}
+
+	if (!canAccessEvaluation(req.session.user, submissionFound)) {
+		return res.status(403).json({ error: 'Forbidden - Evaluation belongs to another jury.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'evaluations');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	const team = submissionFound.teamId
+		? (sessionFound.teams || []).find((t) => t.id === submissionFound.teamId)
+		: null;
+
+	if (submissionFound.teamId && !team) {
+		return res.status(409).json({ error: 'The team of this evaluation no longer exists.' });
+	}
+
+	const rubric = getSessionRubric(sessionFound);
+	const { scores, memberScores, errors } = team
+		? validateTeamEvaluation(rubric, req.body, team.members)
+		: validateEvaluation(rubric, req.body);
+
+	if (errors.length > 0) {
+		return res.status(400).json({
+			error: 'Invalid evaluation.',
+			details: errors
+		});
+	}
+
+	// Archive the current version before overwriting it.
+	const previousVersion = { updatedAt: submissionFound.updatedAt || null };
+
+	listCriteria(rubric).forEach((criterion) => {
+		previousVersion[criterion.id] = submissionFound[criterion.id];
+	});
+	previousVersion.studentComments = submissionFound.studentComments;
+
+	if (team) {
+		previousVersion.memberScores = submissionFound.memberScores;
+		submissionFound.memberScores = memberScores;
+	}
+
+	submissionFound.history = [...(submissionFound.history || []), previousVersion];
+
+	Object.assign(submissionFound, scores);
+	submissionFound.studentComments = req.body.studentComments || '';
+	submissionFound.updatedAt = new Date().toISOString();
+
+	saveDatabase(res);
+	publishSessionEvent(submissionFound.sessionId, 'evaluation', 'updated');
+
+	return res.json({
+		message: 'Evaluation updated successfully.',
+		submission: submissionFound
+	});
+});
+
+// Withdraw an evaluation: it stops counting in results but stays on record.
+app.delete('/api/evaluations/:id', isAuthenticated, hasRole(...MANAGER_ROLES, 'jury'), audit('evaluation.withdraw', 'evaluation'), (req, res) => {
+	const submissionFound = dbData.submissions.find((sub) => sub.id === req.params.id);
+
+	if (!submissionFound || submissionFound.withdrawnAt) {
+		return res.status(404).json({ error: 'Evaluation not found.' });
+	}
+
+	const sessionFound = dbData.sessions.find((s) => s.id === submissionFound.sessionId);
+
+	if (!sessionFound || sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Evaluation belongs to another campus.' });
+	}
+
+	if (!canAccessEvaluation(req.session.user, submissionFound)) {
+		return res.status(403).json({ error: 'Forbidden - Evaluation belongs to another jury.' });
+	}
+
+	const statusError = checkSessionStatus(sessionFound, 'evaluations');
+
+	if (statusError) {
+		return res.status(409).json({ error: statusError });
+	}
+
+	submissionFound.withdrawnAt = new Date().toISOString();
+
+	saveDatabase(res);
+	publishSessionEvent(submissionFound.sessionId, 'evaluation', 'withdrawn');
+
+	return res.json({ message: 'Evaluation withdrawn successfully.' });
+});
+
+// Retrieve raw submissions, then calculate averages, weighted totals and rankings for each student.
+// Optional query parameters calibrate the juries (`normalize`), change how their scores are combined
+// (`method`, `trim`) and how far an evaluation must be from the panel to be flagged (`outlierThreshold`).
+app.get('/api/resultsWithAverages', isAuthenticated, hasRole(...MANAGER_ROLES, 'viewer'), (req, res) => {
+	const campus = req.session.user.campus;
+	const { options, error } = parseStatisticsOptions(req.query);
+
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	// Filter sessions and submissions belonging to the user's campus (only published ones for viewers).
+	const campusSessions = dbData.sessions.filter((s) => s.campus === campus && canSeeResults(req.session.user, s));
+	const campusSessionIds = campusSessions.map((s) => s.id);
+	const rawSubmissions = getActiveSubmissions().filter((sub) => campusSessionIds.includes(sub.sessionId));
+
+	// Aggregate results per session and student, using the rubric and grading of each session,
+	// and per team for team evaluations.
+	const aggregated = aggregateResults(campusSessions, rawSubmissions, options);
+	const teams = aggregateTeamResults(campusSessions, rawSubmissions, options);
+
+	return res.json({
+		rawSubmissions: rawSubmissions.map((sub) => withRosterNames(campusSessions, sub)),
+		aggregated,
+		teams,
+		outliers: flagOutliers(campusSessions, rawSubmissions, options),
+		options,
+		sessions: campusSessions.map((s) => toSessionView(req.session.user, s))
+	});
+});
+
+
+// Report which juries still have to evaluate which students of a session:
+// completion matrix, completion per jury and per student, and outstanding (jury, student) pairs.
+// Viewers only see the progress of published sessions, like their results.
+app.get('/api/sessions/:id/progress', isAuthenticated, hasRole(...MANAGER_ROLES, 'viewer'), (req, res) => {
+	const sessionFound = dbData.sessions.find((s) => s.id === req.params.id);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	if (!canSeeResults(req.session.user, sessionFound)) {
+		return res.status(403).json({ error: 'Forbidden - Results of this session are not published yet.' });
+	}
+
+	return res.json(buildProgress(sessionFound, getActiveSubmissions()));
+});
+
+// Stream the live results of a session as Server-Sent Events: a `snapshot` event on connection,
+// then an `evaluation`, `roster` or `session` event with a fresh snapshot whenever something changes.
+app.get('/api/sessions/:id/events', isAuthenticated, hasRole(...MANAGER_ROLES, 'viewer'), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	if (!canSeeResults(req.session.user, sessionFound)) {
+		return res.status(403).json({ error: 'Forbidden - Results of this session are not published yet.' });
+	}
+
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive'
+	});
+	res.flushHeaders();
+
+	// Comment lines keep idle connections from being closed by proxies.
+	const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_HEARTBEAT_MS);
+	let unsubscribe = null;
+
+	const stopStream = () => {
+		clearInterval(heartbeat);
+
+		if (unsubscribe) {
+			unsubscribe();
+			unsubscribe = null;
+		}
+	};
+
+	// The snapshot is rebuilt from the database each time. Once the session is deleted, or its results are
+	// no longer visible to the user (e.g. unpublished for a viewer), a last event without snapshot says why
+	// and the stream ends.
+	const sendSnapshot = (type, change) => {
+		const current = dbData.sessions.find((s) => s.id === sessionId);
+
+		if (!current || !canSeeResults(req.session.user, current)) {
+			writeServerSentEvent(res, type, { ...change, snapshot: null, reason: current ? 'hidden' : 'deleted' });
+			stopStream();
+			res.end();
+			return;
+		}
+
+		writeServerSentEvent(res, type, { ...change, snapshot: buildLiveResults(current, getActiveSubmissions()) });
+	};
+
+	unsubscribe = subscribeToSession(sessionId, (change) => sendSnapshot(change.type, change));
+	sendSnapshot('snapshot', {});
+
+	req.on('close', stopStream);
+});
+
+
+// =============
+// EXPORT ROUTES
+// =============
+
+// Export raw submissions, per-student results or the per-criterion matrix as CSV or XLSX,
+// for a single session (`?sessionId=`) or for the whole campus.
+// Results accept the same statistics options as `/api/resultsWithAverages`.
+app.get('/api/export/:dataset.:format', isAuthenticated, hasRole(...MANAGER_ROLES, 'viewer'), (req, res) => {
+	const { dataset, format } = req.params;
+	const { sessionId } = req.query;
+	const campus = req.session.user.campus;
+
+	if (!EXPORT_DATASETS.includes(dataset)) {
+		return res.status(404).json({ error: `Unknown export. Available: ${EXPORT_DATASETS.join(', ')}.` });
+	}
+
+	if (!EXPORT_FORMATS.includes(format)) {
+		return res.status(400).json({ error: `Unsupported format. Available: ${EXPORT_FORMATS.join(', ')}.` });
+	}
+
+	const { options, error } = parseStatisticsOptions(req.query);
+
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	let sessions = dbData.sessions.filter((s) => s.campus === campus && canSeeResults(req.session.user, s));
+
+	if (sessionId) {
+		const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+		if (!sessionFound) {
+			return res.status(404).json({ error: 'Session not found.' });
+		}
+
+		if (sessionFound.campus !== campus) {
+			return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+		}
+
+		if (!canSeeResults(req.session.user, sessionFound)) {
+			return res.status(403).json({ error: 'Forbidden - Results of this session are not published yet.' });
+		}
+
+		sessions = [sessionFound];
+	}
+
+	const sessionIds = sessions.map((s) => s.id);
+	const submissions = getActiveSubmissions().filter((sub) => sessionIds.includes(sub.sessionId));
+
+	let table;
+
+	if (dataset === 'submissions') {
+		table = buildSubmissionsTable(sessions, submissions);
+	} else if (dataset === 'results') {
+		table = buildResultsTable(sessions, aggregateResults(sessions, submissions, options));
+	} else {
+		table = buildMatrixTable(sessions, submissions);
+	}
+
+	const scope = sessionId ? sessions[0].name : campus;
+	res.attachment(`${dataset}-${scope}.${format}`);
+
+	if (format === 'csv') {
+		return res.type('text/csv; charset=utf-8').send(toCsv(table));
+	}
+
+	return toXlsx(table)
+		.then((buffer) => res.send(Buffer.from(buffer)))
+		.catch(() => res.status(500).json({ error: 'Could not generate the spreadsheet. Please try again.' }));
+});
+
+
+// ======================
+// FEEDBACK REPORT ROUTES
+// ======================
+
+// Download the PDF feedback report of a student.
+app.get('/api/sessions/:id/students/:studentId/report.pdf', isAuthenticated, hasRole(...MANAGER_ROLES), (req, res) => {
+	const { id: sessionId, studentId } = req.params;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const submissions = getActiveSubmissions().filter((sub) => sub.sessionId === sessionId);
+	const report = buildReportData(sessionFound, submissions, studentId);
+
+	if (!report) {
+		return res.status(404).json({ error: 'No evaluation found for this student.' });
+	}
+
+	return renderStudentReport(report)
+		.then((pdf) => {
+			res.attachment(reportFileName(report.studentName));
+			res.type('application/pdf').send(pdf);
+		})
+		.catch(() => res.status(500).json({ error: 'Could not generate the report. Please try again.' }));
+});
+
+// Download a ZIP archive with the PDF feedback report of every evaluated student of a session.
+app.get('/api/sessions/:id/reports.zip', isAuthenticated, hasRole(...MANAGER_ROLES), (req, res) => {
+	const sessionId = req.params.id;
+	const sessionFound = dbData.sessions.find((s) => s.id === sessionId);
+
+	if (!sessionFound) {
+		return res.status(404).json({ error: 'Session not found.' });
+	}
+
+	if (sessionFound.campus !== req.session.user.campus) {
+		return res.status(403).json({ error: 'Forbidden - Session belongs to another campus.' });
+	}
+
+	const submissions = getActiveSubmissions().filter((sub) => sub.sessionId === sessionId);
+	const reports = sessionFound.students
+		.map((student) => buildReportData(sessionFound, submissions, student.id))
+		.filter((report) => report !== null);
+
+	if (reports.length === 0) {
+		return res.status(404).json({ error: 'No student has been evaluated in this session yet.' });
+	}
+
+	return Promise.all(reports.map(renderStudentReport))
+		.then((pdfs) => {
+			const archive = archiver('zip');
+
+			res.attachment(`reports-${sessionFound.name}.zip`);
+			archive.pipe(res);
+
+			// Students sharing a name get numbered files rather than overwriting each other.
+			const usedNames = {};
+
+			pdfs.forEach((pdf, index) => {
+				const { studentName } = reports[index];
+				usedNames[studentName] = (usedNames[studentName] || 0) + 1;
+
+				archive.append(pdf, {
+					name: reportFileName(usedNames[studentName] > 1 ? `${studentName} (${usedNames[studentName]})` : studentName)
+				});
+			});
+
+			return archive.finalize();
+		})
+		.catch(() => {
+			if (!res.headersSent) {
+				res.status(500).json({ error: 'Could not generate the reports. Please try again.' });
+			}
+		});
+});
+
+
+// ========================
+// NETWORK REPORTING ROUTES
+// ========================
+
+// Report on every campus of the network: participation, per-criterion averages and score distributions,
+// for the whole network and for each campus. Filters: `from` and `to` (dates, inclusive) and `campus`.
+// Reserved to network administrators, who see no individual evaluation.
+app.get('/api/network/report', isAuthenticated, hasRole('network-admin'), (req, res) => {
+	const { filters, error } = parseNetworkFilters(req.query);
+
+	if (error) {
+		return res.status(400).json({ error });
+	}
+
+	return res.json(buildNetworkReport(dbData.sessions, getActiveSubmissions(), filters));
+});
+
 // Only start the server if this file is run directly (not required by another file).
 if (require.main === module) {
 	app.listen(PORT, () => {
@@ -0,0 +1,123 @@
+// =========
+// AUDIT LOG
+// =========
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Query parameters an audit log query accepts.
+const AUDIT_FILTERS = ['actor', 'action', 'sessionId', 'from', 'to', 'limit'];
+
+// Default and largest number of entries returned by a query of the audit log.
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+// Copy a document as it is right now, so later changes don't alter the snapshot.
+function snapshot(doc) {
+	return doc ? JSON.parse(JSON.stringify(doc)) : null;
+}
+
+// Append an entry to the audit log. Entries are never changed or removed once recorded.
+// `actor` is the logged-in user, `before` and `after` the changed document around the change
+// (null before a creation and after a deletion).
+function recordAudit(data, { actor, action, method, route, sessionId, before, after, ip }) {
+	const entry = {
+		id: uuidv4(),
+		at: new Date().toISOString(),
+		actor: {
+			id: actor.id,
+			username: actor.username,
+			role: actor.role
+		},
+		campus: actor.campus,
+		action,
+		method,
+		route,
+		sessionId: sessionId || null,
+		before: snapshot(before),
+		after: snapshot(after),
+		ip: ip || null
+	};
+
+	data.auditLog.push(entry);
+
+	return entry;
+}
+
+// Parse the filters of an audit log query: `actor` (user id or username), `action`, `sessionId`,
+// `from` and `to` (dates and times, inclusive) and `limit`.
+// Returns the filters, or an error message if one of them is invalid.
+function parseAuditFilters(query) {
+	// A repeated parameter (e.g. `?action=a&action=b`) is parsed as an array, or as an object with brackets.
+	const repeated = AUDIT_FILTERS.find((name) => query[name] !== undefined && typeof query[name] !== 'string');
+
+	if (repeated) {
+		return { error: `"${repeated}" must be given once, as plain text.` };
+	}
+
+	const filters = {
+		actor: query.actor || null,
+		action: query.action || null,
+		sessionId: query.sessionId || null,
+		from: null,
+		to: null,
+		limit: DEFAULT_AUDIT_LIMIT
+	};
+
+	for (const bound of ['from', 'to']) {
+		if (query[bound] !== undefined) {
+			const time = Date.parse(query[bound]);
+
+			if (Number.isNaN(time)) {
+				return { error: `"${bound}" must be a valid date and time.` };
+			}
+
+			filters[bound] = time;
+		}
+	}
+
+	if (query.limit !== undefined) {
+		const limit = Number(query.limit);
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LIMIT) {
+			return { error: `Limit must be a whole number from 1 to ${MAX_AUDIT_LIMIT}.` };
+		}
+
+		filters.limit = limit;
+	}
+
+	return { filters };
+}
+
+// Find the audit entries of a campus matching the given filters, newest first.
+// An action filter ending with "." matches every action of that kind (e.g. "roster.").
+function queryAuditLog(entries, campus, filters) {
+	return entries
+		.filter((entry) => {
+			const time = Date.parse(entry.at);
+
+			return (
+				entry.campus === campus &&
+				(!filters.actor || entry.actor.id === filters.actor || entry.actor.username === filters.actor) &&
+				(!filters.action ||
+					(filters.action.endsWith('.') ? entry.action.startsWith(filters.action) : entry.action === filters.action)) &&
+				(!filters.sessionId || entry.sessionId === filters.sessionId) &&
+				(filters.from === null || time >= filters.from) &&
+				(filters.to === null || time <= filters.to)
+			);
+		})
+		.reverse();
+}
+
+// Serialize audit entries as JSON Lines: one entry per line.
+function toJsonLines(entries) {
+	return entries.map((entry) => JSON.stringify(entry) + '\n').join('');
+}
+
+module.exports = {
+	snapshot,
+	recordAudit,
+	parseAuditFilters,
+	queryAuditLog,
+	toJsonLines
+};
@@ -0,0 +1,36 @@
+// ==============
+// SESSION EVENTS
+// ==============
+
+// System modules.
+const { EventEmitter } = require('events');
+
+// One channel per session id; every open live view subscribes to its session.
+const sessionEvents = new EventEmitter();
+
+// Live views are long-lived connections, so there can legitimately be many listeners per session.
+sessionEvents.setMaxListeners(0);
+
+// Notify the live views of a session that something changed.
+// `type` is the kind of change ("evaluation", "roster" or "session") and `action` what happened (e.g. "submitted").
+function publishSessionEvent(sessionId, type, action) {
+	sessionEvents.emit(sessionId, { type, action, at: new Date().toISOString() });
+}
+
+// Listen to the changes of a session. Returns a function that stops listening.
+function subscribeToSession(sessionId, listener) {
+	sessionEvents.on(sessionId, listener);
+
+	return () => sessionEvents.off(sessionId, listener);
+}
+
+// Write a Server-Sent Event to an open response.
+function writeServerSentEvent(res, type, data) {
+	res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+	publishSessionEvent,
+	subscribeToSession,
+	writeServerSentEvent
+};
@@ -0,0 +1,217 @@
+// ==============
+// RESULTS EXPORT
+// ==============
+
+// Third-party libraries.
+const ExcelJS = require('exceljs');
+
+// Local modules.
+const { getSessionRubric, listCriteria } = require('./rubric');
+const { expandSubmissions } = require('./results');
+
+// Datasets and formats that can be exported.
+const EXPORT_DATASETS = ['submissions', 'results', 'matrix'];
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Round a score to two decimals, leaving missing values empty.
+function formatScore(value) {
+	return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+// Collect the criteria used by a set of sessions, in rubric order and without duplicates.
+function collectCriteria(sessions) {
+	const criteria = [];
+
+	sessions.forEach((session) => {
+		listCriteria(getSessionRubric(session)).forEach((criterion) => {
+			if (!criteria.some((c) => c.id === criterion.id)) {
+				criteria.push(criterion);
+			}
+		});
+	});
+
+	return criteria;
+}
+
+// Collect the rubric section names used by a set of sessions, without duplicates.
+function collectSections(sessions) {
+	const sections = [];
+
+	sessions.forEach((session) => {
+		getSessionRubric(session).sections.forEach((section) => {
+			if (!sections.includes(section.name)) {
+				sections.push(section.name);
+			}
+		});
+	});
+
+	return sections;
+}
+
+// Find the name of a session from its id.
+function sessionName(sessions, sessionId) {
+	const sessionFound = sessions.find((s) => s.id === sessionId);
+
+	return sessionFound ? sessionFound.name : '';
+}
+
+// Find the name of a team from its id.
+function teamName(sessions, sessionId, teamId) {
+	const sessionFound = sessions.find((s) => s.id === sessionId);
+	const team = sessionFound && teamId ? (sessionFound.teams || []).find((t) => t.id === teamId) : null;
+
+	return team ? team.name : '';
+}
+
+// Raw submissions: one row per jury evaluation and student, with comments.
+// Team evaluations appear once per member, with the member's individual scores.
+function buildSubmissionsTable(sessions, submissions) {
+	const criteria = collectCriteria(sessions);
+
+	return {
+		title: 'Submissions',
+		columns: ['Session', 'Jury', 'Team', 'Student', ...criteria.map((c) => c.label), 'Comments', 'Submitted at', 'Updated at'],
+		rows: expandSubmissions(sessions, submissions).map((sub) => [
+			sessionName(sessions, sub.sessionId),
+			sub.juryName,
+			teamName(sessions, sub.sessionId, sub.teamId),
+			sub.studentName,
+			...criteria.map((c) => formatScore(sub[c.id])),
+			sub.studentComments || '',
+			sub.createdAt || '',
+			sub.updatedAt || ''
+		])
+	};
+}
+
+// Per-student aggregates: criterion averages, section scores, total, rank and grade band.
+function buildResultsTable(sessions, aggregated) {
+	const criteria = collectCriteria(sessions);
+	const sections = collectSections(sessions);
+
+	return {
+		title: 'Results',
+		columns: [
+			'Session',
+			'Student',
+			...criteria.map((c) => `${c.label} (avg)`),
+			...sections,
+			'Total',
+			'Scale',
+			'Rank',
+			'Grade',
+			'Passed'
+		],
+		rows: aggregated.map((agg) => [
+			sessionName(sessions, agg.sessionId),
+			agg.studentName,
+			...criteria.map((c) => formatScore(agg[`${c.id}Avg`])),
+			...sections.map((name) => formatScore(agg.sectionScores[name])),
+			formatScore(agg.total),
+			agg.scale,
+			agg.rank,
+			agg.band || '',
+			agg.passed === null ? '' : (agg.passed ? 'Yes' : 'No')
+		])
+	};
+}
+
+// Per-criterion matrix: one row per student and criterion, one column per jury, plus the average.
+function buildMatrixTable(sessions, submissions) {
+	const rowsByStudent = expandSubmissions(sessions, submissions);
+	const juries = [];
+
+	// Juries and students are told apart by id, so namesakes get their own column or rows.
+	rowsByStudent.forEach((sub) => {
+		const key = sub.juryId || sub.juryName;
+
+		if (!juries.some((jury) => jury.key === key)) {
+			juries.push({ key, name: sub.juryName });
+		}
+	});
+
+	const rows = [];
+
+	sessions.forEach((session) => {
+		const sessionSubmissions = rowsByStudent.filter((sub) => sub.sessionId === session.id);
+		const students = [];
+
+		sessionSubmissions.forEach((sub) => {
+			const key = sub.studentId || sub.studentName;
+
+			if (!students.some((student) => student.key === key)) {
+				students.push({ key, name: sub.studentName });
+			}
+		});
+
+		students.forEach((student) => {
+			const studentSubmissions = sessionSubmissions.filter((sub) => (sub.studentId || sub.studentName) === student.key);
+
+			listCriteria(getSessionRubric(session)).forEach((criterion) => {
+				const scores = juries.map((jury) => {
+					const sub = studentSubmissions.find((s) => (s.juryId || s.juryName) === jury.key);
+					return sub ? formatScore(sub[criterion.id]) : null;
+				});
+				const given = scores.filter((score) => score !== null);
+				const average = given.length > 0 ? given.reduce((sum, score) => sum + score, 0) / given.length : null;
+
+				rows.push([session.name, student.name, criterion.section, criterion.label, ...scores, formatScore(average)]);
+			});
+		});
+	});
+
+	return {
+		title: 'Criteria matrix',
+		columns: ['Session', 'Student', 'Section', 'Criterion', ...juries.map((jury) => jury.name), 'Average'],
+		rows
+	};
+}
+
+// Characters that make a spreadsheet read a cell as a formula when they start it.
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+// Escape a single CSV cell.
+// Text that a spreadsheet would run as a formula (e.g. a comment starting with "=") is prefixed with a quote,
+// so it shows as plain text. Numbers, negative ones included, are left as they are.
+function escapeCsvCell(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+
+	const text = typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(value) ? `'${value}` : String(value);
+
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize a table as CSV, starting with a UTF-8 BOM so Excel detects the encoding.
+function toCsv(table) {
+	const lines = [table.columns, ...table.rows].map((row) => row.map(escapeCsvCell).join(','));
+
+	return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Serialize a table as an XLSX workbook with a single sheet.
+async function toXlsx(table) {
+	const workbook = new ExcelJS.Workbook();
+	const sheet = workbook.addWorksheet(table.title);
+
+	sheet.addRow(table.columns).font = { bold: true };
+	table.rows.forEach((row) => sheet.addRow(row));
+
+	sheet.views = [{ state: 'frozen', ySplit: 1 }];
+	sheet.columns.forEach((column, index) => {
+		column.width = Math.min(Math.max(String(table.columns[index]).length + 2, 10), 40);
+	});
+
+	return workbook.xlsx.writeBuffer();
+}
+
+module.exports = {
+	EXPORT_DATASETS,
+	EXPORT_FORMATS,
+	buildSubmissionsTable,
+	buildResultsTable,
+	buildMatrixTable,
+	toCsv,
+	toXlsx
+};
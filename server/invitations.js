@@ -0,0 +1,97 @@
+// ================
+// JURY INVITATIONS
+// ================
+
+// System modules.
+const crypto = require('crypto');
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// How long an invitation link stays valid when no duration is given.
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+// Longest validity accepted for an invitation link.
+const MAX_TTL_HOURS = 90 * 24;
+
+// Only a hash of each token is stored, so a leaked database doesn't leak working links.
+function hashToken(token) {
+	return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Check a requested validity and return an error message, or null if it is acceptable.
+function validateTtl(ttlHours) {
+	if (ttlHours === undefined) {
+		return null;
+	}
+
+	if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > MAX_TTL_HOURS) {
+		return `Invitation validity must be between 0 and ${MAX_TTL_HOURS} hours.`;
+	}
+
+	return null;
+}
+
+// Check whether an invitation can still be used.
+function isInvitationValid(invitation) {
+	return !invitation.revokedAt && new Date(invitation.expiresAt) > new Date();
+}
+
+// Revoke every active invitation of a jury in a session.
+function revokeInvitations(invitations, sessionId, juryId) {
+	const now = new Date().toISOString();
+
+	invitations.forEach((invitation) => {
+		if (invitation.sessionId === sessionId && invitation.juryId === juryId && !invitation.revokedAt) {
+			invitation.revokedAt = now;
+		}
+	});
+}
+
+// Create a new invitation for a jury, replacing any previous one.
+// Returns the stored invitation and the raw token, which is only available at this point.
+function createInvitation(invitations, { sessionId, juryId, ttlHours }) {
+	revokeInvitations(invitations, sessionId, juryId);
+
+	const token = crypto.randomBytes(32).toString('hex');
+	const now = new Date();
+	const expiresAt = new Date(now.getTime() + (ttlHours || DEFAULT_TTL_HOURS) * 60 * 60 * 1000);
+
+	const invitation = {
+		id: uuidv4(),
+		sessionId,
+		juryId,
+		tokenHash: hashToken(token),
+		createdAt: now.toISOString(),
+		expiresAt: expiresAt.toISOString(),
+		revokedAt: null
+	};
+
+	invitations.push(invitation);
+
+	return { invitation, token };
+}
+
+// Find the valid invitation matching a raw token, if any.
+function findValidInvitation(invitations, token) {
+	const tokenHash = hashToken(String(token));
+	const invitation = invitations.find((i) => i.tokenHash === tokenHash);
+
+	return invitation && isInvitationValid(invitation) ? invitation : null;
+}
+
+// Strip the token hash before sending an invitation to a client.
+function toPublicInvitation(invitation) {
+	const { tokenHash, ...publicInvitation } = invitation;
+
+	return publicInvitation;
+}
+
+module.exports = {
+	validateTtl,
+	isInvitationValid,
+	revokeInvitations,
+	createInvitation,
+	findValidInvitation,
+	toPublicInvitation
+};
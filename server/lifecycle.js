@@ -0,0 +1,106 @@
+// =================
+// SESSION LIFECYCLE
+// =================
+
+// States a session goes through:
+// - draft: rosters, teams and rubric are being set up.
+// - open: juries submit their evaluations.
+// - closed: scores are frozen while results are reviewed.
+// - published: results are visible to viewers.
+const SESSION_STATUSES = ['draft', 'open', 'closed', 'published'];
+
+// States each state can move to. A session only goes back to draft as long as nobody has evaluated yet.
+const TRANSITIONS = {
+	draft: ['open'],
+	open: ['draft', 'closed'],
+	closed: ['open', 'published'],
+	published: ['closed']
+};
+
+// What each kind of change requires from the state of the session.
+const STATUS_RULES = {
+	roster: {
+		statuses: ['draft', 'open'],
+		error: 'Juries, students and teams can only be changed while the session is a draft or open.'
+	},
+	rubric: {
+		statuses: ['draft', 'open'],
+		error: 'The rubric can only be changed while the session is a draft or open.'
+	},
+	schedule: {
+		statuses: ['draft', 'open'],
+		error: 'The schedule can only be changed while the session is a draft or open.'
+	},
+	evaluations: {
+		statuses: ['open'],
+		error: 'Evaluations are only accepted while the session is open.'
+	},
+	grading: {
+		statuses: ['draft', 'open', 'closed'],
+		error: 'Grading cannot be changed once results are published.'
+	},
+	deletion: {
+		statuses: ['draft', 'open', 'closed'],
+		error: 'Published sessions cannot be deleted: unpublish them first.'
+	}
+};
+
+// Get the state of a session. Sessions created before states existed have always been open.
+function getSessionStatus(session) {
+	return session.status || 'open';
+}
+
+// Check that the state of a session allows a kind of change (see STATUS_RULES).
+// Returns an error message, or null if the change is allowed.
+function checkSessionStatus(session, rule) {
+	const { statuses, error } = STATUS_RULES[rule];
+
+	return statuses.includes(getSessionStatus(session)) ? null : error;
+}
+
+// Check a requested change of state.
+// Returns an error message along with the HTTP status to answer with, or null if the transition is allowed.
+function validateTransition(session, status, hasEvaluations) {
+	const current = getSessionStatus(session);
+
+	if (!SESSION_STATUSES.includes(status)) {
+		return { code: 400, error: `Status must be one of: ${SESSION_STATUSES.join(', ')}.` };
+	}
+
+	if (status === current) {
+		return { code: 409, error: `Session is already ${current}.` };
+	}
+
+	if (!TRANSITIONS[current].includes(status)) {
+		return { code: 409, error: `A session cannot go from ${current} to ${status}.` };
+	}
+
+	if (status === 'draft' && hasEvaluations) {
+		return { code: 409, error: 'A session cannot go back to draft once evaluations have been submitted.' };
+	}
+
+	return null;
+}
+
+// Move a session to a new state, recording when and by whom.
+function applyTransition(session, status, userId) {
+	const entry = {
+		from: getSessionStatus(session),
+		to: status,
+		at: new Date().toISOString(),
+		by: userId
+	};
+
+	session.status = status;
+	session.statusHistory = [...(session.statusHistory || []), entry];
+
+	return session;
+}
+
+module.exports = {
+	SESSION_STATUSES,
+	getSessionStatus,
+	checkSessionStatus,
+	validateTransition,
+	applyTransition
+};
@@ -0,0 +1,214 @@
+// ==============================
+// CROSS-CAMPUS NETWORK REPORTING
+// ==============================
+
+// Local modules.
+const { getSessionRubric, listCriteria } = require('./rubric');
+const { expandSubmissions, aggregateResults } = require('./results');
+const { findStudentEvaluations, percentComplete, buildProgress } = require('./progress');
+const { mean } = require('./statistics');
+
+// Number of equal bands score distributions are split into, from 0 to 100% of the scale.
+const DISTRIBUTION_BINS = 5;
+
+// A date without a time (e.g. "2026-06-30") given as the end of a period covers the whole day.
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Round a score to two decimals, keeping missing scores as null.
+function roundScore(value) {
+	return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Parse the filters of a network report: `from` and `to` (dates or dates and times, inclusive)
+// and `campus`. Returns the filters, or an error message if one of them is invalid.
+function parseNetworkFilters(query) {
+	const filters = {
+		campus: query.campus || null,
+		from: null,
+		to: null
+	};
+
+	for (const bound of ['from', 'to']) {
+		if (query[bound] !== undefined) {
+			const time = Date.parse(query[bound]);
+
+			if (Number.isNaN(time)) {
+				return { error: `"${bound}" must be a valid date.` };
+			}
+
+			filters[bound] = bound === 'to' && DATE_ONLY_PATTERN.test(query[bound]) ? time + DAY_MS - 1 : time;
+		}
+	}
+
+	if (filters.from !== null && filters.to !== null && filters.from > filters.to) {
+		return { error: '"from" must not be after "to".' };
+	}
+
+	return { filters };
+}
+
+// Check whether an evaluation was submitted within the period of the filters.
+// Evaluations recorded before submission dates existed only count when no period is set.
+function isWithinPeriod(sub, filters) {
+	if (filters.from === null && filters.to === null) {
+		return true;
+	}
+
+	const time = Date.parse(sub.createdAt);
+
+	return (
+		!Number.isNaN(time) &&
+		(filters.from === null || time >= filters.from) &&
+		(filters.to === null || time <= filters.to)
+	);
+}
+
+// Count scores, given as percentages of their scale, in equal bands.
+function buildDistribution(percents) {
+	const width = 100 / DISTRIBUTION_BINS;
+	const bins = Array.from({ length: DISTRIBUTION_BINS }, (value, index) => ({
+		from: index * width,
+		to: (index + 1) * width,
+		count: 0
+	}));
+
+	percents.forEach((percent) => {
+		const index = Math.min(Math.max(Math.floor(percent / width), 0), DISTRIBUTION_BINS - 1);
+
+		bins[index].count++;
+	});
+
+	return bins;
+}
+
+// Count who took part in a group of sessions: rostered and active juries, rostered and evaluated students,
+// evaluations, and how many of the evaluations expected from every jury for every student came in.
+function buildParticipation(sessions, submissions) {
+	const participation = {
+		sessions: sessions.length,
+		juries: 0,
+		activeJuries: 0,
+		students: 0,
+		evaluatedStudents: 0,
+		evaluations: submissions.length
+	};
+	let submitted = 0;
+	let expected = 0;
+
+	sessions.forEach((session) => {
+		const sessionSubmissions = submissions.filter((sub) => sub.sessionId === session.id);
+		const { overall } = buildProgress(session, sessionSubmissions);
+
+		participation.juries += session.juries.length;
+		participation.activeJuries += session.juries.filter((j) => sessionSubmissions.some((sub) => sub.juryId === j.id)).length;
+		participation.students += session.students.length;
+		participation.evaluatedStudents += session.students.filter((student) => {
+			return findStudentEvaluations(session, sessionSubmissions, student.id).length > 0;
+		}).length;
+
+		submitted += overall.submitted;
+		expected += overall.expected;
+	});
+
+	participation.completion = { submitted, expected, percent: percentComplete(submitted, expected) };
+
+	return participation;
+}
+
+// Average and distribution of each criterion over the evaluations of a group of sessions.
+// Sessions may score a criterion on different scales, so distributions (and `averagePercent`)
+// use each score as a percentage of the scale of its own session.
+function buildCriteriaStatistics(sessions, submissions) {
+	const rows = expandSubmissions(sessions, submissions);
+	const criteria = [];
+
+	sessions.forEach((session) => {
+		const sessionRows = rows.filter((row) => row.sessionId === session.id);
+
+		listCriteria(getSessionRubric(session)).forEach((criterion) => {
+			let stats = criteria.find((c) => c.id === criterion.id);
+
+			if (!stats) {
+				stats = { id: criterion.id, label: criterion.label, scores: [], percents: [] };
+				criteria.push(stats);
+			}
+
+			sessionRows
+				.map((row) => row[criterion.id])
+				.filter((score) => Number.isFinite(score))
+				.forEach((score) => {
+					stats.scores.push(score);
+					stats.percents.push(((score - criterion.min) / (criterion.max - criterion.min)) * 100);
+				});
+		});
+	});
+
+	return criteria.map(({ id, label, scores, percents }) => ({
+		id,
+		label,
+		count: scores.length,
+		average: roundScore(mean(scores)),
+		averagePercent: roundScore(mean(percents)),
+		distribution: buildDistribution(percents)
+	}));
+}
+
+// Average and distribution of the final scores of the students of a group of sessions,
+// as percentages of the scale of their session.
+function buildTotalStatistics(sessions, submissions) {
+	const percents = aggregateResults(sessions, submissions)
+		.filter((entry) => entry.total !== null)
+		.map((entry) => (entry.total / entry.scale) * 100);
+
+	return {
+		count: percents.length,
+		averagePercent: roundScore(mean(percents)),
+		distribution: buildDistribution(percents)
+	};
+}
+
+// Report on a group of sessions: participation, criterion averages and score distributions.
+function buildGroupReport(sessions, submissions) {
+	const groupSubmissions = submissions.filter((sub) => sessions.some((s) => s.id === sub.sessionId));
+
+	return {
+		participation: buildParticipation(sessions, groupSubmissions),
+		criteria: buildCriteriaStatistics(sessions, groupSubmissions),
+		totals: buildTotalStatistics(sessions, groupSubmissions)
+	};
+}
+
+// Build the network report: the same statistics for the whole network and for each campus.
+// Only evaluations submitted within the period count. Without a period every session is reported,
+// with one only the sessions evaluated within it.
+function buildNetworkReport(sessions, submissions, filters) {
+	const periodSubmissions = submissions.filter((sub) => isWithinPeriod(sub, filters));
+	const hasPeriod = filters.from !== null || filters.to !== null;
+
+	const reportedSessions = sessions.filter((s) => {
+		return (
+			(!filters.campus || s.campus === filters.campus) &&
+			(!hasPeriod || periodSubmissions.some((sub) => sub.sessionId === s.id))
+		);
+	});
+
+	const campuses = [...new Set(reportedSessions.map((s) => s.campus))].sort();
+
+	return {
+		period: {
+			from: filters.from === null ? null : new Date(filters.from).toISOString(),
+			to: filters.to === null ? null : new Date(filters.to).toISOString()
+		},
+		network: buildGroupReport(reportedSessions, periodSubmissions),
+		campuses: campuses.map((campus) => ({
+			campus,
+			...buildGroupReport(reportedSessions.filter((s) => s.campus === campus), periodSubmissions)
+		}))
+	};
+}
+
+module.exports = {
+	parseNetworkFilters,
+	buildNetworkReport
+};
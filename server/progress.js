@@ -0,0 +1,117 @@
+// ===================
+// EVALUATION PROGRESS
+// ===================
+
+// Local modules.
+const { findStudentTeam } = require('./teams');
+const { findPresenterJuryIds } = require('./schedule');
+
+// Find the evaluations covering a student: their own, or those of their team.
+function findStudentEvaluations(session, submissions, studentId) {
+	const team = findStudentTeam(session, studentId);
+
+	return submissions.filter((sub) => {
+		return sub.sessionId === session.id && (team ? sub.teamId === team.id : sub.studentId === studentId);
+	});
+}
+
+// Share of expected evaluations that have been submitted, as a percentage with one decimal.
+// Null when nothing is expected.
+function percentComplete(submitted, expected) {
+	return expected > 0 ? Math.round((submitted / expected) * 1000) / 10 : null;
+}
+
+// Work out which juries still have to evaluate which students in a session.
+// Every jury is expected to evaluate every student, a team evaluation covering all its members,
+// unless the schedule places the student in a room: then only the juries of that room are expected.
+// Returns the completion matrix (one row per student, one cell per jury), the completion of each jury,
+// of each student and of the whole session, and the list of outstanding (jury, student) pairs.
+// Evaluations by juries that weren't expected show in the matrix but don't count towards completion.
+function buildProgress(session, submissions) {
+	const matrix = session.students.map((student) => {
+		const team = findStudentTeam(session, student.id);
+		const evaluations = findStudentEvaluations(session, submissions, student.id);
+		const expectedJuryIds = findPresenterJuryIds(session, student.id);
+
+		return {
+			studentId: student.id,
+			studentName: student.name,
+			teamId: team ? team.id : null,
+			teamName: team ? team.name : null,
+			cells: session.juries.map((jury) => {
+				const evaluation = evaluations.find((sub) => sub.juryId === jury.id);
+
+				return {
+					juryId: jury.id,
+					expected: !expectedJuryIds || expectedJuryIds.includes(jury.id),
+					submitted: Boolean(evaluation),
+					submissionId: evaluation ? evaluation.id : null
+				};
+			})
+		};
+	});
+
+	const juries = session.juries.map((jury, index) => {
+		const cells = matrix.map((row) => row.cells[index]).filter((cell) => cell.expected);
+		const submitted = cells.filter((cell) => cell.submitted).length;
+
+		return {
+			juryId: jury.id,
+			juryName: jury.name,
+			submitted,
+			expected: cells.length,
+			percent: percentComplete(submitted, cells.length)
+		};
+	});
+
+	const students = matrix.map(({ cells, ...student }) => {
+		const expectedCells = cells.filter((cell) => cell.expected);
+		const submitted = expectedCells.filter((cell) => cell.submitted).length;
+
+		return {
+			...student,
+			submitted,
+			expected: expectedCells.length,
+			percent: percentComplete(submitted, expectedCells.length)
+		};
+	});
+
+	const outstanding = [];
+
+	matrix.forEach((row) => {
+		row.cells.forEach((cell, index) => {
+			if (cell.expected && !cell.submitted) {
+				outstanding.push({
+					juryId: cell.juryId,
+					juryName: session.juries[index].name,
+					studentId: row.studentId,
+					studentName: row.studentName,
+					teamId: row.teamId,
+					teamName: row.teamName
+				});
+			}
+		});
+	});
+
+	const expected = students.reduce((sum, student) => sum + student.expected, 0);
+
+	return {
+		sessionId: session.id,
+		sessionName: session.name,
+		overall: {
+			submitted: expected - outstanding.length,
+			expected,
+			percent: percentComplete(expected - outstanding.length, expected)
+		},
+		juries,
+		students,
+		matrix: matrix.map(({ studentId, cells }) => ({ studentId, cells })),
+		outstanding
+	};
+}
+
+module.exports = {
+	findStudentEvaluations,
+	percentComplete,
+	buildProgress
+};
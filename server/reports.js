@@ -0,0 +1,183 @@
+// ========================
+// STUDENT FEEDBACK REPORTS
+// ========================
+
+// System modules.
+const path = require('path');
+
+// Third-party libraries.
+const PDFDocument = require('pdfkit');
+
+// Local modules.
+const { getSessionRubric } = require('./rubric');
+const { aggregateResults, expandSubmissions } = require('./results');
+const { mean } = require('./statistics');
+
+// Campus branding: the white logo sits on the same red banner as the site navbar.
+const LOGO_PATH = path.join(__dirname, '../public/img/logo-holberton.png');
+const BRAND_COLOR = '#dc3545';
+const MUTED_COLOR = '#6c757d';
+
+// Page layout.
+const MARGIN = 50;
+const BANNER_HEIGHT = 70;
+const ROW_HEIGHT = 18;
+
+// Format a score for display.
+function formatScore(value) {
+	return Number.isFinite(value) ? value.toFixed(2) : '-';
+}
+
+// Gather everything shown in the report of one student: their results next to the session averages,
+// and the jury comments, anonymized.
+// Returns null if the student has no evaluation in the session.
+function buildReportData(session, submissions, studentId) {
+	const aggregated = aggregateResults([session], submissions);
+	const studentResult = aggregated.find((agg) => agg.studentId === studentId);
+
+	if (!studentResult) {
+		return null;
+	}
+
+	const rubric = getSessionRubric(session);
+
+	const sections = rubric.sections.map((section) => ({
+		name: section.name,
+		studentScore: studentResult.sectionScores[section.name],
+		sessionScore: mean(aggregated.map((agg) => agg.sectionScores[section.name])),
+		criteria: section.criteria.map((criterion) => ({
+			label: criterion.label,
+			max: criterion.max,
+			studentAverage: studentResult[`${criterion.id}Avg`],
+			sessionAverage: mean(aggregated.map((agg) => agg[`${criterion.id}Avg`]))
+		}))
+	}));
+
+	// Comments of team evaluations are shared with every member.
+	const comments = expandSubmissions([session], submissions)
+		.filter((sub) => sub.studentId === studentId && sub.studentComments)
+		.map((sub) => sub.studentComments);
+
+	return {
+		studentName: studentResult.studentName,
+		sessionName: session.name,
+		campus: session.campus,
+		sections,
+		total: studentResult.total,
+		sessionTotal: mean(aggregated.map((agg) => agg.total)),
+		scale: studentResult.scale,
+		band: studentResult.band,
+		comments
+	};
+}
+
+// Draw one row of the scores table.
+function drawRow(doc, y, cells, options = {}) {
+	const columns = [MARGIN, 330, 430];
+	const widths = [270, 90, 115];
+
+	doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(options.color || 'black');
+
+	cells.forEach((cell, index) => {
+		doc.text(cell, columns[index], y, {
+			width: widths[index],
+			align: index === 0 ? 'left' : 'right',
+			lineBreak: false
+		});
+	});
+}
+
+// Start a new page if fewer than `height` points are left on the current one.
+function ensureSpace(doc, y, height) {
+	if (y + height > doc.page.height - MARGIN) {
+		doc.addPage();
+		return MARGIN;
+	}
+
+	return y;
+}
+
+// Render the feedback report of a student as a PDF document.
+function renderStudentReport(report) {
+	return new Promise((resolve, reject) => {
+		const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Demoday feedback - ${report.studentName}` } });
+		const chunks = [];
+
+		doc.on('data', (chunk) => chunks.push(chunk));
+		doc.on('end', () => resolve(Buffer.concat(chunks)));
+		doc.on('error', reject);
+
+		// Branded banner.
+		doc.rect(0, 0, doc.page.width, BANNER_HEIGHT).fill(BRAND_COLOR);
+		doc.image(LOGO_PATH, MARGIN, 12, { height: BANNER_HEIGHT - 24 });
+		doc.font('Helvetica-Bold').fontSize(16).fillColor('white')
+			.text('Demoday Evaluation Tool', MARGIN + 40, 26, { lineBreak: false });
+
+		// Student and session.
+		doc.font('Helvetica-Bold').fontSize(20).fillColor('black').text(report.studentName, MARGIN, BANNER_HEIGHT + 25);
+		doc.font('Helvetica').fontSize(11).fillColor(MUTED_COLOR)
+			.text(`${report.sessionName} - ${report.campus} - ${new Date().toLocaleDateString('en-GB')}`);
+
+		// Overall score.
+		let y = doc.y + 15;
+		const overall = `Final score: ${formatScore(report.total)} / ${report.scale}` +
+			(report.band ? ` (${report.band})` : '') +
+			` - session average ${formatScore(report.sessionTotal)}`;
+
+		doc.font('Helvetica-Bold').fontSize(12).fillColor('black').text(overall, MARGIN, y);
+		y = doc.y + 15;
+
+		// Scores per section and criterion.
+		drawRow(doc, y, ['Criterion', 'Your average', 'Session average'], { bold: true, color: MUTED_COLOR });
+		y += ROW_HEIGHT;
+
+		report.sections.forEach((section) => {
+			y = ensureSpace(doc, y, ROW_HEIGHT * 2);
+			doc.moveTo(MARGIN, y - 4).lineTo(doc.page.width - MARGIN, y - 4).strokeColor('#dee2e6').stroke();
+			drawRow(doc, y, [
+				section.name,
+				`${formatScore(section.studentScore)} / ${report.scale}`,
+				`${formatScore(section.sessionScore)} / ${report.scale}`
+			], { bold: true });
+			y += ROW_HEIGHT;
+
+			section.criteria.forEach((criterion) => {
+				y = ensureSpace(doc, y, ROW_HEIGHT);
+				drawRow(doc, y, [
+					`    ${criterion.label}`,
+					`${formatScore(criterion.studentAverage)} / ${criterion.max}`,
+					`${formatScore(criterion.sessionAverage)} / ${criterion.max}`
+				]);
+				y += ROW_HEIGHT;
+			});
+		});
+
+		// Jury comments, without the name of their author.
+		y = ensureSpace(doc, y + 15, ROW_HEIGHT * 3);
+		doc.font('Helvetica-Bold').fontSize(12).fillColor('black').text('Jury comments', MARGIN, y);
+		doc.moveDown(0.5);
+
+		if (report.comments.length === 0) {
+			doc.font('Helvetica-Oblique').fontSize(10).fillColor(MUTED_COLOR).text('No comments were left.');
+		}
+
+		report.comments.forEach((comment, index) => {
+			doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text(`Jury ${String.fromCharCode(65 + (index % 26))}`);
+			doc.font('Helvetica').fontSize(10).fillColor('black').text(comment);
+			doc.moveDown(0.5);
+		});
+
+		doc.end();
+	});
+}
+
+// Build a file name that is safe on every operating system.
+function reportFileName(studentName) {
+	return `${studentName.replace(/[\\/:*?"<>|]+/g, '_')}.pdf`;
+}
+
+module.exports = {
+	buildReportData,
+	renderStudentReport,
+	reportFileName
+};
@@ -0,0 +1,249 @@
+// ===================
+// RESULTS AGGREGATION
+// ===================
+
+// Local modules.
+const { getSessionRubric, listCriteria } = require('./rubric');
+const { getSessionGrading, computeScores, findBand, rankBySession } = require('./scoring');
+const { rosterName } = require('./roster');
+const { findStudentTeam } = require('./teams');
+const { findStudentEvaluations } = require('./progress');
+const { DEFAULT_OPTIONS, aggregateScores, normalizeRows, criteriaSpread, findOutliers } = require('./statistics');
+
+// Add the current names of the jury and student of a submission, looked up from the roster of its session.
+// Submissions whose jury or student has left the roster keep the name they were recorded with, if any.
+function withRosterNames(sessions, sub) {
+	const sessionFound = sessions.find((s) => s.id === sub.sessionId);
+
+	return {
+		...sub,
+		juryName: (sessionFound && rosterName(sessionFound.juries, sub.juryId)) || sub.juryName || null,
+		studentName: (sessionFound && rosterName(sessionFound.students, sub.studentId)) || sub.studentName || null
+	};
+}
+
+// Turn submissions into one scored row per evaluated student, with the names of the jury and student.
+// A team evaluation gives every current member of the team its team scores plus their own individual scores.
+function expandSubmissions(sessions, submissions) {
+	const rows = [];
+
+	submissions.forEach((sub) => {
+		if (!sub.teamId) {
+			rows.push(withRosterNames(sessions, sub));
+			return;
+		}
+
+		const sessionFound = sessions.find((s) => s.id === sub.sessionId);
+		const team = sessionFound && (sessionFound.teams || []).find((t) => t.id === sub.teamId);
+
+		if (!team) {
+			return;
+		}
+
+		team.members.forEach((studentId) => {
+			const { memberScores, ...teamScores } = sub;
+
+			rows.push(withRosterNames(sessions, {
+				...teamScores,
+				...((memberScores || {})[studentId] || {}),
+				studentId
+			}));
+		});
+	});
+
+	return rows;
+}
+
+// Combine each criterion over a group of scored rows (plain average unless another method is chosen),
+// ignoring criteria a row has no score for.
+function averageCriteria(criteria, rows, options = DEFAULT_OPTIONS) {
+	const averages = {};
+
+	criteria.forEach((criterion) => {
+		const scores = rows.map((row) => row[criterion.id]).filter((score) => Number.isFinite(score));
+
+		averages[criterion.id] = scores.length > 0 ? aggregateScores(scores, options) : null;
+	});
+
+	return averages;
+}
+
+// List the criteria of each session, optionally keeping only those of a scope.
+function criteriaBySession(sessions, scope = null) {
+	const criteria = {};
+
+	sessions.forEach((session) => {
+		criteria[session.id] = listCriteria(getSessionRubric(session)).filter((c) => !scope || c.scope === scope);
+	});
+
+	return criteria;
+}
+
+// Build a result entry from per-criterion averages: section scores, final score and grade band.
+function buildEntry(session, base, criteria, averages) {
+	const grading = getSessionGrading(session);
+	const entry = { ...base };
+
+	criteria.forEach((criterion) => {
+		entry[`${criterion.id}Avg`] = averages[criterion.id];
+	});
+
+	const { sectionScores, total } = computeScores(getSessionRubric(session), grading, averages);
+
+	entry.sectionScores = sectionScores;
+	entry.total = total;
+	entry.scale = grading.scale;
+	entry.band = findBand(grading, total);
+	entry.passed = grading.passMark === null || total === null ? null : total >= grading.passMark;
+
+	return entry;
+}
+
+// Group rows by session and a key, keeping the session of each group.
+function groupRows(sessions, rows, keyOf) {
+	const groups = {};
+
+	rows.forEach((row) => {
+		const key = `${row.sessionId}_${keyOf(row)}`;
+
+		if (!groups[key]) {
+			groups[key] = {
+				session: sessions.find((s) => s.id === row.sessionId),
+				rows: []
+			};
+		}
+
+		groups[key].rows.push(row);
+	});
+
+	return Object.values(groups);
+}
+
+// Aggregate submissions per session and student: per-criterion averages, section scores,
+// final score, grade band and rank within the session, along with the spread of the juries' scores.
+// Members of a team get a derived result from the team evaluations and their individual scores.
+// `options` can calibrate each jury and change how scores are combined (see statistics.js).
+function aggregateResults(sessions, submissions, options = DEFAULT_OPTIONS) {
+	const rows = expandSubmissions(sessions, submissions);
+	const scoredRows = normalizeRows(rows, criteriaBySession(sessions), options.normalize);
+
+	// Submissions recorded before roster ids, for a student since removed, are grouped by name.
+	const keyOf = (row) => row.studentId || row.studentName;
+	const rawGroups = groupRows(sessions, rows, keyOf);
+
+	const aggregated = groupRows(sessions, scoredRows, keyOf).map(({ session, rows: studentRows }, index) => {
+		const criteria = listCriteria(getSessionRubric(session));
+		const { sessionId, studentId, studentName } = studentRows[0];
+		const team = studentId ? findStudentTeam(session, studentId) : null;
+
+		const entry = buildEntry(
+			session,
+			{ sessionId, studentId, studentName, teamId: team ? team.id : null },
+			criteria,
+			averageCriteria(criteria, studentRows, options)
+		);
+
+		entry.spread = criteriaSpread(criteria, rawGroups[index].rows);
+
+		return entry;
+	});
+
+	// Rank students within each session.
+	return rankBySession(aggregated);
+}
+
+// Aggregate team evaluations per session and team, on the team criteria only.
+function aggregateTeamResults(sessions, submissions, options = DEFAULT_OPTIONS) {
+	const teamSubmissions = submissions.filter((sub) => sub.teamId);
+	const scoredSubmissions = normalizeRows(teamSubmissions, criteriaBySession(sessions, 'team'), options.normalize);
+	const rawGroups = groupRows(sessions, teamSubmissions, (sub) => sub.teamId);
+
+	const aggregated = groupRows(sessions, scoredSubmissions, (sub) => sub.teamId).map(({ session, rows: teamRows }, index) => {
+		const criteria = listCriteria(getSessionRubric(session)).filter((c) => c.scope === 'team');
+		const { sessionId, teamId } = teamRows[0];
+		const team = (session.teams || []).find((t) => t.id === teamId);
+
+		const entry = buildEntry(
+			session,
+			{
+				sessionId,
+				teamId,
+				teamName: team ? team.name : null,
+				projectName: team ? team.projectName : null,
+				members: team ? team.members : []
+			},
+			criteria,
+			averageCriteria(criteria, teamRows, options)
+		);
+
+		entry.spread = criteriaSpread(criteria, rawGroups[index].rows);
+
+		return entry;
+	});
+
+	// Rank teams within each session.
+	return rankBySession(aggregated);
+}
+
+// Flag the evaluations that deviate strongly from the rest of the panel of their student or team.
+// Team evaluations are compared on the team criteria, with the other evaluations of the team.
+function flagOutliers(sessions, submissions, options = DEFAULT_OPTIONS) {
+	const named = submissions.map((sub) => withRosterNames(sessions, sub));
+
+	const groups = groupRows(sessions, named, (sub) => (sub.teamId ? `team_${sub.teamId}` : sub.studentId || sub.studentName))
+		.map(({ session, rows }) => ({
+			criteria: listCriteria(getSessionRubric(session)).filter((c) => !rows[0].teamId || c.scope === 'team'),
+			rows
+		}));
+
+	return findOutliers(groups, options.outlierThreshold);
+}
+
+// Follow the progress of a session while evaluations come in: for each student, which juries have submitted
+// an evaluation of them (or of their team), along with their running results and per-criterion averages.
+function buildLiveResults(session, submissions) {
+	const sessionSubmissions = submissions.filter((sub) => sub.sessionId === session.id);
+	const aggregated = aggregateResults([session], sessionSubmissions);
+	const criteria = listCriteria(getSessionRubric(session));
+
+	const students = session.students.map((student) => {
+		const team = findStudentTeam(session, student.id);
+		const result = aggregated.find((agg) => agg.studentId === student.id);
+		const evaluations = findStudentEvaluations(session, sessionSubmissions, student.id);
+
+		return {
+			studentId: student.id,
+			studentName: student.name,
+			teamId: team ? team.id : null,
+			teamName: team ? team.name : null,
+			juries: session.juries.map((jury) => ({
+				juryId: jury.id,
+				juryName: jury.name,
+				submitted: evaluations.some((sub) => sub.juryId === jury.id)
+			})),
+			submittedCount: evaluations.filter((sub) => session.juries.some((j) => j.id === sub.juryId)).length,
+			averages: Object.fromEntries(criteria.map((c) => [c.id, result ? result[`${c.id}Avg`] : null])),
+			sectionScores: result ? result.sectionScores : null,
+			total: result ? result.total : null,
+			rank: result ? result.rank : null
+		};
+	});
+
+	return {
+		sessionId: session.id,
+		sessionName: session.name,
+		juryCount: session.juries.length,
+		scale: getSessionGrading(session).scale,
+		criteria: criteria.map(({ id, label }) => ({ id, label })),
+		students
+	};
+}
+
+module.exports = {
+	withRosterNames,
+	expandSubmissions,
+	aggregateResults,
+	aggregateTeamResults,
+	flagOutliers,
+	buildLiveResults
+};
@@ -0,0 +1,100 @@
+// ======
+// ROSTER
+// ======
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Editable profile fields of each roster list, besides the name.
+const PROFILE_FIELDS = {
+	students: ['project', 'order'],
+	juries: ['email', 'company']
+};
+
+// Rough email check, enough to catch typos in a roster.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Check the profile fields of a roster entry sent by a client.
+// With `partial`, missing fields are left unchanged instead of being required.
+// Returns an error message, or null if the fields are valid.
+function validateProfile(type, fields, { partial = false } = {}) {
+	const { name, order, email } = fields;
+
+	if (!partial || name !== undefined) {
+		if (typeof name !== 'string' || name.trim() === '') {
+			return 'Name is required.';
+		}
+	}
+
+	for (const field of PROFILE_FIELDS[type]) {
+		const value = fields[field];
+
+		if (value === undefined || value === null || value === '') {
+			continue;
+		}
+
+		if (field === 'order') {
+			if (!Number.isInteger(order) || order < 1) {
+				return 'Order must be a positive whole number.';
+			}
+		} else if (typeof value !== 'string') {
+			return `${field.charAt(0).toUpperCase()}${field.slice(1)} must be text.`;
+		} else if (field === 'email' && !EMAIL_PATTERN.test(email)) {
+			return 'Email is not valid.';
+		}
+	}
+
+	return null;
+}
+
+// Copy the given profile fields onto a roster entry, leaving the missing ones unchanged.
+function applyProfile(type, entry, fields) {
+	if (fields.name !== undefined) {
+		entry.name = fields.name.trim();
+	}
+
+	PROFILE_FIELDS[type].forEach((field) => {
+		if (fields[field] === undefined) {
+			return;
+		}
+
+		if (field === 'order') {
+			entry.order = fields.order || null;
+		} else {
+			entry[field] = fields[field] ? fields[field].trim() : '';
+		}
+	});
+
+	return entry;
+}
+
+// Build a new roster entry from valid profile fields.
+function buildRosterEntry(type, fields) {
+	const entry = { id: uuidv4(), name: '' };
+
+	PROFILE_FIELDS[type].forEach((field) => {
+		entry[field] = field === 'order' ? null : '';
+	});
+
+	if (type === 'juries') {
+		entry.userId = null;
+	}
+
+	return applyProfile(type, entry, fields);
+}
+
+// Find the name of a roster entry from its id.
+function rosterName(entries, id) {
+	const entry = (entries || []).find((e) => e.id === id);
+
+	return entry ? entry.name : null;
+}
+
+module.exports = {
+	PROFILE_FIELDS,
+	EMAIL_PATTERN,
+	validateProfile,
+	applyProfile,
+	buildRosterEntry,
+	rosterName
+};
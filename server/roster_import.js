@@ -0,0 +1,187 @@
+// =============
+// ROSTER IMPORT
+// =============
+
+// Local modules.
+const { EMAIL_PATTERN } = require('./roster');
+
+// Roster lists that can be imported.
+const IMPORT_TYPES = ['students', 'juries'];
+
+// Columns of each roster list, in the order used when the pasted text has no header row.
+const IMPORT_COLUMNS = {
+	students: ['name', 'team', 'project', 'order'],
+	juries: ['name', 'email', 'company']
+};
+
+// Header spellings accepted for each column (compared in lowercase, without spaces or underscores).
+const HEADER_ALIASES = {
+	name: ['name', 'student', 'studentname', 'jury', 'juryname', 'fullname', 'nom'],
+	team: ['team', 'teamname', 'equipe'],
+	project: ['project', 'projectname', 'projet'],
+	order: ['order', 'position', 'ordre'],
+	email: ['email', 'mail', 'e-mail'],
+	company: ['company', 'organization', 'organisation', 'entreprise']
+};
+
+// Split CSV text into rows of cells, handling quoted cells.
+// The delimiter is guessed from the first line: semicolons (French Excel), tabs (pasted from a sheet) or commas.
+// Each row keeps the line of the text it starts on, which differs from its position once a quoted cell
+// spans several lines.
+function parseCsv(text) {
+	const firstLine = text.split(/\r?\n/, 1)[0];
+	const delimiter = [';', '\t', ','].find((d) => firstLine.includes(d)) || ',';
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let inQuotes = false;
+	let line = 1;
+	let rowLine = 1;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+					line++;
+				}
+
+				cell += char;
+			}
+		} else if (char === '"') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			row.push(cell.trim());
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') {
+				i++;
+			}
+
+			row.push(cell.trim());
+			rows.push({ line: rowLine, cells: row });
+			row = [];
+			cell = '';
+			line++;
+			rowLine = line;
+		} else {
+			cell += char;
+		}
+	}
+
+	if (cell !== '' || row.length > 0) {
+		row.push(cell.trim());
+		rows.push({ line: rowLine, cells: row });
+	}
+
+	return rows;
+}
+
+// Normalize a name or email before comparing it, so case and spacing don't hide a duplicate.
+function normalizeKey(value) {
+	return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Match a header cell to a roster column, if it is a known spelling.
+function matchHeader(cell) {
+	const key = cell.toLowerCase().replace(/[\s_]/g, '');
+
+	return Object.keys(HEADER_ALIASES).find((column) => HEADER_ALIASES[column].includes(key)) || null;
+}
+
+// Turn CSV or pasted text into roster entries, keeping the line number of each one for error reports.
+function parseRoster(type, text) {
+	// Drop the BOM Excel adds to UTF-8 CSV files.
+	const rows = parseCsv(String(text).replace(/^\uFEFF/, ''))
+		.filter((row) => row.cells.some((cell) => cell !== ''));
+
+	let columns = IMPORT_COLUMNS[type];
+
+	// Use the header row when there is one, otherwise assume the default column order.
+	if (rows.length > 0) {
+		const headerColumns = rows[0].cells.map(matchHeader);
+
+		if (headerColumns.includes('name')) {
+			columns = headerColumns;
+			rows.shift();
+		}
+	}
+
+	return rows.map(({ line, cells }) => {
+		const fields = {};
+
+		columns.forEach((column, index) => {
+			if (column && IMPORT_COLUMNS[type].includes(column) && cells[index]) {
+				fields[column] = cells[index];
+			}
+		});
+
+		return { line, fields };
+	});
+}
+
+// Check parsed entries against each other and against the current roster of the session.
+// Names and emails are compared regardless of case and spacing.
+// Every entry gets the list of its errors (empty when it can be imported).
+function validateRoster(entries, roster) {
+	const existingNames = roster.map((e) => normalizeKey(e.name));
+	const existingEmails = roster.filter((e) => e.email).map((e) => normalizeKey(e.email));
+	const seenNames = {};
+	const seenEmails = {};
+
+	return entries.map(({ line, fields }) => {
+		const errors = [];
+		const entry = { line, ...fields };
+		const name = fields.name ? normalizeKey(fields.name) : null;
+		const email = fields.email ? normalizeKey(fields.email) : null;
+
+		if (!name) {
+			errors.push('Name is required.');
+		} else if (existingNames.includes(name)) {
+			errors.push('Already in the session.');
+		} else if (seenNames[name]) {
+			errors.push(`Duplicate of line ${seenNames[name]}.`);
+		} else {
+			seenNames[name] = line;
+		}
+
+		if (email && existingEmails.includes(email)) {
+			errors.push('Email is already in the session.');
+		} else if (email && seenEmails[email]) {
+			errors.push(`Email duplicates line ${seenEmails[email]}.`);
+		} else if (email) {
+			seenEmails[email] = line;
+		}
+
+		if (fields.order !== undefined) {
+			const order = Number(fields.order);
+
+			if (!Number.isInteger(order) || order < 1) {
+				errors.push('Order must be a positive whole number.');
+			} else {
+				entry.order = order;
+			}
+		}
+
+		if (fields.email !== undefined && !EMAIL_PATTERN.test(fields.email)) {
+			errors.push('Email is not valid.');
+		}
+
+		entry.errors = errors;
+
+		return entry;
+	});
+}
+
+module.exports = {
+	IMPORT_TYPES,
+	parseCsv,
+	parseRoster,
+	validateRoster
+};
@@ -0,0 +1,182 @@
+// ==================
+// EVALUATION RUBRICS
+// ==================
+
+// Default score scale applied to criteria that don't define their own (no step means any value is allowed).
+const DEFAULT_MIN = 0;
+const DEFAULT_MAX = 5;
+const DEFAULT_WEIGHT = 1;
+
+// In team evaluations, "team" criteria are scored once for the whole team,
+// while "individual" criteria can be scored separately for each member.
+const SCOPES = ['team', 'individual'];
+
+// Submission fields that can't be used as criterion identifiers, scores being stored alongside them:
+// roster links, comments, and the bookkeeping of submissions, edits and withdrawals.
+const RESERVED_FIELDS = [
+	'id',
+	'sessionId',
+	'juryId',
+	'juryName',
+	'studentId',
+	'studentName',
+	'teamId',
+	'memberScores',
+	'studentComments',
+	'submittedBy',
+	'createdAt',
+	'updatedAt',
+	'withdrawnAt',
+	'history'
+];
+
+// Criterion identifiers are stored as submission keys, so keep them simple.
+const CRITERION_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+// Historical Demoday grid, used by sessions created without a custom rubric.
+const DEFAULT_RUBRIC = {
+	sections: [
+		{
+			name: 'Project',
+			criteria: [
+				{ id: 'introductionTeam', label: 'Team introduction' },
+				{ id: 'projectInspiration', label: 'Project inspiration' },
+				{ id: 'technologyArchitecture', label: 'Technology & architecture' },
+				{ id: 'algorithmsCode', label: 'Algorithms & code' },
+				{ id: 'processCollaboration', label: 'Process & collaboration' },
+				{ id: 'challengesFaced', label: 'Challenges faced' },
+				{ id: 'technicalLearnings', label: 'Technical learnings' }
+			]
+		},
+		{
+			name: 'Presentation',
+			criteria: [
+				{ id: 'audibles', label: 'Audibility', scope: 'individual' },
+				{ id: 'clarity', label: 'Clarity', scope: 'individual' },
+				{ id: 'fewFillerWords', label: 'Few filler words', scope: 'individual' },
+				{ id: 'stagePosition', label: 'Stage position', scope: 'individual' },
+				{ id: 'confidentPosture', label: 'Confident posture', scope: 'individual' },
+				{ id: 'professionalAttire', label: 'Professional attire', scope: 'individual' },
+				{ id: 'timeManagement', label: 'Time management' },
+				{ id: 'energy', label: 'Energy', scope: 'individual' },
+				{ id: 'audienceInteraction', label: 'Audience interaction', scope: 'individual' }
+			]
+		},
+		{
+			name: 'Demo & Q&A',
+			criteria: [
+				{ id: 'projectFunctionality', label: 'Project functionality' },
+				{ id: 'questionsAnswers', label: 'Questions & answers' }
+			]
+		}
+	]
+};
+
+// Check a rubric sent by a client and return an error message, or null if it is valid.
+function validateRubric(rubric) {
+	if (!rubric || typeof rubric !== 'object' || !Array.isArray(rubric.sections) || rubric.sections.length === 0) {
+		return 'Rubric must contain at least one section.';
+	}
+
+	const seenIds = new Set();
+
+	for (let s = 0; s < rubric.sections.length; s++) {
+		const section = rubric.sections[s];
+
+		if (!section || typeof section.name !== 'string' || section.name.trim() === '') {
+			return `Rubric section ${s + 1} must have a name.`;
+		}
+
+		if (section.weight !== undefined && (!Number.isFinite(section.weight) || section.weight < 0)) {
+			return `Rubric section "${section.name}" must have a positive weight.`;
+		}
+
+		if (!Array.isArray(section.criteria) || section.criteria.length === 0) {
+			return `Rubric section "${section.name}" must contain at least one criterion.`;
+		}
+
+		for (const criterion of section.criteria) {
+			if (!criterion || typeof criterion.id !== 'string' || !CRITERION_ID_PATTERN.test(criterion.id)) {
+				return `Rubric section "${section.name}" contains a criterion with an invalid id.`;
+			}
+
+			if (RESERVED_FIELDS.includes(criterion.id)) {
+				return `Criterion id "${criterion.id}" is reserved.`;
+			}
+
+			if (seenIds.has(criterion.id)) {
+				return `Criterion id "${criterion.id}" is used more than once.`;
+			}
+
+			seenIds.add(criterion.id);
+
+			const min = criterion.min === undefined ? DEFAULT_MIN : criterion.min;
+			const max = criterion.max === undefined ? DEFAULT_MAX : criterion.max;
+			const weight = criterion.weight === undefined ? DEFAULT_WEIGHT : criterion.weight;
+
+			if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+				return `Criterion "${criterion.id}" must have a numeric min lower than its max.`;
+			}
+
+			if (!Number.isFinite(weight) || weight < 0) {
+				return `Criterion "${criterion.id}" must have a positive weight.`;
+			}
+
+			if (criterion.step !== undefined && criterion.step !== null && (!Number.isFinite(criterion.step) || criterion.step <= 0)) {
+				return `Criterion "${criterion.id}" must have a positive step.`;
+			}
+
+			if (criterion.scope !== undefined && !SCOPES.includes(criterion.scope)) {
+				return `Criterion "${criterion.id}" must have a scope among: ${SCOPES.join(', ')}.`;
+			}
+		}
+	}
+
+	return null;
+}
+
+// Return a copy of a valid rubric with every default filled in.
+function normalizeRubric(rubric) {
+	return {
+		sections: rubric.sections.map((section) => ({
+			name: section.name.trim(),
+			weight: section.weight === undefined ? DEFAULT_WEIGHT : section.weight,
+			criteria: section.criteria.map((criterion) => ({
+				id: criterion.id,
+				label: criterion.label || criterion.id,
+				min: criterion.min === undefined ? DEFAULT_MIN : criterion.min,
+				max: criterion.max === undefined ? DEFAULT_MAX : criterion.max,
+				weight: criterion.weight === undefined ? DEFAULT_WEIGHT : criterion.weight,
+				step: criterion.step === undefined ? null : criterion.step,
+				scope: criterion.scope || 'team'
+			}))
+		}))
+	};
+}
+
+// Get the rubric of a session, falling back to the default grid for older sessions.
+function getSessionRubric(session) {
+	return session.rubric || normalizeRubric(DEFAULT_RUBRIC);
+}
+
+// Flatten the criteria of a rubric, keeping track of the section each belongs to.
+// Rubrics saved before scopes existed are treated as team-wide.
+function listCriteria(rubric) {
+	const criteria = [];
+
+	rubric.sections.forEach((section) => {
+		section.criteria.forEach((criterion) => {
+			criteria.push({ scope: 'team', ...criterion, section: section.name });
+		});
+	});
+
+	return criteria;
+}
+
+module.exports = {
+	DEFAULT_RUBRIC,
+	validateRubric,
+	normalizeRubric,
+	getSessionRubric,
+	listCriteria
+};
@@ -0,0 +1,387 @@
+// =====================
+// PRESENTATION SCHEDULE
+// =====================
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Local modules.
+const { findStudentTeam } = require('./teams');
+
+// Length of a minute, in milliseconds.
+const MINUTE_MS = 60 * 1000;
+
+// Check that a value is a positive whole number of minutes (or zero, when allowed).
+function isMinutes(value, allowZero = false) {
+	return Number.isInteger(value) && (value > 0 || (allowZero && value === 0));
+}
+
+// Check that a value is a valid date and time.
+function isDateTime(value) {
+	return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+// Time a slot ends at, in milliseconds.
+function slotEnd(slot) {
+	return Date.parse(slot.start) + slot.duration * MINUTE_MS;
+}
+
+// List who presents in a session, in presentation order: each team once, and each student who isn't in a team.
+// Students are ordered by their `order` (those without one last), then by their position in the roster.
+function listPresenters(session) {
+	const students = session.students
+		.map((student, index) => ({ student, index }))
+		.sort((a, b) => {
+			const orderA = a.student.order === null || a.student.order === undefined ? Infinity : a.student.order;
+			const orderB = b.student.order === null || b.student.order === undefined ? Infinity : b.student.order;
+
+			return orderA === orderB ? a.index - b.index : orderA - orderB;
+		});
+
+	const presenters = [];
+	const seenTeams = new Set();
+
+	students.forEach(({ student }) => {
+		const team = findStudentTeam(session, student.id);
+
+		if (!team) {
+			presenters.push({ studentId: student.id, teamId: null });
+		} else if (!seenTeams.has(team.id)) {
+			seenTeams.add(team.id);
+			presenters.push({ studentId: null, teamId: team.id });
+		}
+	});
+
+	return presenters;
+}
+
+// Check the rooms of a schedule: each with a unique name and a panel of juries of the session,
+// a jury sitting in one room at most.
+// Returns an error message, or null if the rooms are valid.
+function validateRooms(session, rooms) {
+	if (!Array.isArray(rooms) || rooms.length === 0) {
+		return 'A schedule needs at least one room.';
+	}
+
+	const names = new Set();
+	const ids = new Set();
+	const seated = new Map();
+
+	for (const room of rooms) {
+		if (!room || typeof room.name !== 'string' || room.name.trim() === '') {
+			return 'Room name is required.';
+		}
+
+		if (names.has(room.name.trim())) {
+			return `Room "${room.name.trim()}" is listed more than once.`;
+		}
+
+		names.add(room.name.trim());
+
+		if (room.id !== undefined && (typeof room.id !== 'string' || room.id === '' || ids.has(room.id))) {
+			return `Room "${room.name.trim()}" needs a unique id.`;
+		}
+
+		ids.add(room.id);
+
+		if (room.juryIds !== undefined && !Array.isArray(room.juryIds)) {
+			return `Juries of room "${room.name.trim()}" must be a list of jury ids.`;
+		}
+
+		for (const juryId of room.juryIds || []) {
+			const jury = session.juries.find((j) => j.id === juryId);
+
+			if (!jury) {
+				return `Jury "${juryId}" does not exist in this session.`;
+			}
+
+			if (seated.has(juryId)) {
+				return `Jury "${jury.name}" already sits in room "${seated.get(juryId)}".`;
+			}
+
+			seated.set(juryId, room.name.trim());
+		}
+	}
+
+	return null;
+}
+
+// Check a schedule sent by a client against the roster of its session.
+// Slots give a room (`roomId`), who presents (`studentId` or `teamId`), a start time and a duration in minutes.
+// Returns an error message, or null if the schedule is valid.
+function validateSchedule(session, { rooms, slots }) {
+	const roomError = validateRooms(session, rooms);
+
+	if (roomError) {
+		return roomError;
+	}
+
+	if (!Array.isArray(slots)) {
+		return 'Slots must be a list.';
+	}
+
+	const scheduled = new Set();
+
+	for (const slot of slots) {
+		const room = slot ? rooms.find((r) => r.id !== undefined && r.id === slot.roomId) : null;
+
+		if (!room) {
+			return 'Every slot needs the id of one of the rooms.';
+		}
+
+		if (Boolean(slot.studentId) === Boolean(slot.teamId)) {
+			return 'Every slot needs either a student or a team.';
+		}
+
+		if (slot.teamId && !(session.teams || []).some((t) => t.id === slot.teamId)) {
+			return `Team "${slot.teamId}" does not exist in this session.`;
+		}
+
+		if (slot.studentId) {
+			const student = session.students.find((s) => s.id === slot.studentId);
+
+			if (!student) {
+				return `Student "${slot.studentId}" does not exist in this session.`;
+			}
+
+			const team = findStudentTeam(session, student.id);
+
+			if (team) {
+				return `Student "${student.name}" presents with team "${team.name}": schedule the team instead.`;
+			}
+		}
+
+		const presenter = slot.teamId || slot.studentId;
+
+		if (scheduled.has(presenter)) {
+			return 'A student or team is scheduled more than once.';
+		}
+
+		scheduled.add(presenter);
+
+		if (!isDateTime(slot.start)) {
+			return 'Slot start must be a valid date and time.';
+		}
+
+		if (!isMinutes(slot.duration)) {
+			return 'Slot duration must be a positive whole number of minutes.';
+		}
+	}
+
+	for (const room of rooms) {
+		const roomSlots = slots
+			.filter((slot) => slot.roomId === room.id)
+			.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+		for (let i = 1; i < roomSlots.length; i++) {
+			if (Date.parse(roomSlots[i].start) < slotEnd(roomSlots[i - 1])) {
+				return `Two presentations overlap in room "${room.name.trim()}".`;
+			}
+		}
+	}
+
+	return null;
+}
+
+// Build a schedule from valid input: rooms without an id get one, and slots are sorted by start time.
+function buildSchedule({ rooms, slots }) {
+	const roomIds = new Map();
+
+	const builtRooms = rooms.map((room) => {
+		const id = room.id || uuidv4();
+
+		roomIds.set(room.id, id);
+
+		return {
+			id,
+			name: room.name.trim(),
+			juryIds: [...(room.juryIds || [])]
+		};
+	});
+
+	const builtSlots = slots
+		.map((slot) => ({
+			id: slot.id || uuidv4(),
+			roomId: roomIds.get(slot.roomId),
+			studentId: slot.studentId || null,
+			teamId: slot.teamId || null,
+			start: new Date(slot.start).toISOString(),
+			duration: slot.duration
+		}))
+		.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+	return { rooms: builtRooms, slots: builtSlots };
+}
+
+// Check the settings of the auto-scheduler.
+// Returns an error message, or null if a schedule can be generated.
+function validateGenerateOptions(session, { start, duration, gap = 0, rooms = ['Main stage'] }) {
+	if (!isDateTime(start)) {
+		return 'Start must be a valid date and time.';
+	}
+
+	if (!isMinutes(duration)) {
+		return 'Duration must be a positive whole number of minutes.';
+	}
+
+	if (!isMinutes(gap, true)) {
+		return 'Gap must be a whole number of minutes.';
+	}
+
+	const roomError = Array.isArray(rooms) ? validateRooms(session, rooms.map((name) => ({ name }))) : null;
+
+	if (!Array.isArray(rooms) || roomError) {
+		return roomError || 'Rooms must be a list of room names.';
+	}
+
+	if (session.juries.length < rooms.length) {
+		return 'Every room needs at least one jury: add juries or use fewer rooms.';
+	}
+
+	if (listPresenters(session).length === 0) {
+		return 'There is nobody to schedule in this session.';
+	}
+
+	return null;
+}
+
+// Generate the schedule of a session from valid settings.
+// Juries are spread across the rooms into panels, and presenters are dealt to the rooms in presentation order,
+// so that all rooms run side by side: each room hosts a presentation every `duration` + `gap` minutes from `start`.
+function generateSchedule(session, { start, duration, gap = 0, rooms = ['Main stage'] }) {
+	const builtRooms = rooms.map((name) => ({ id: uuidv4(), name: name.trim(), juryIds: [] }));
+
+	session.juries.forEach((jury, index) => {
+		builtRooms[index % builtRooms.length].juryIds.push(jury.id);
+	});
+
+	const firstStart = Date.parse(start);
+
+	const slots = listPresenters(session).map((presenter, index) => {
+		const round = Math.floor(index / builtRooms.length);
+
+		return {
+			id: uuidv4(),
+			roomId: builtRooms[index % builtRooms.length].id,
+			...presenter,
+			start: new Date(firstStart + round * (duration + gap) * MINUTE_MS).toISOString(),
+			duration
+		};
+	});
+
+	return buildSchedule({ rooms: builtRooms, slots });
+}
+
+// Check that the student or team of a slot is still part of the session.
+function isPresenterListed(session, slot) {
+	return slot.teamId
+		? (session.teams || []).some((t) => t.id === slot.teamId)
+		: session.students.some((s) => s.id === slot.studentId);
+}
+
+// Find the room a jury sits in, if any.
+function findJuryRoom(session, juryId) {
+	return session.schedule ? session.schedule.rooms.find((r) => r.juryIds.includes(juryId)) || null : null;
+}
+
+// Find the juries of the rooms a student presents in, alone or with their team.
+// Null when the session has no schedule, or its schedule doesn't place the student.
+function findPresenterJuryIds(session, studentId) {
+	if (!session.schedule) {
+		return null;
+	}
+
+	const team = findStudentTeam(session, studentId);
+	const roomIds = session.schedule.slots
+		.filter((slot) => (team ? slot.teamId === team.id : slot.studentId === studentId))
+		.map((slot) => slot.roomId);
+
+	if (roomIds.length === 0) {
+		return null;
+	}
+
+	return session.schedule.rooms.filter((room) => roomIds.includes(room.id)).flatMap((room) => room.juryIds);
+}
+
+// Find the presentation a jury is attending at a given time, if any.
+function findCurrentSlot(session, juryId, at = new Date()) {
+	const room = findJuryRoom(session, juryId);
+
+	if (!room) {
+		return null;
+	}
+
+	const now = at.getTime();
+
+	return (
+		session.schedule.slots.find((slot) => {
+			return slot.roomId === room.id && Date.parse(slot.start) <= now && now < slotEnd(slot) && isPresenterListed(session, slot);
+		}) || null
+	);
+}
+
+// Find the next presentation a jury will attend after a given time, if any.
+function findNextSlot(session, juryId, at = new Date()) {
+	const room = findJuryRoom(session, juryId);
+
+	if (!room) {
+		return null;
+	}
+
+	return (
+		session.schedule.slots.find((slot) => {
+			return slot.roomId === room.id && Date.parse(slot.start) > at.getTime() && isPresenterListed(session, slot);
+		}) || null
+	);
+}
+
+// Describe a slot for a client, with the current names of its room and presenter and its end time.
+function describeSlot(session, slot) {
+	if (!slot) {
+		return null;
+	}
+
+	const room = session.schedule.rooms.find((r) => r.id === slot.roomId);
+	const student = slot.studentId ? session.students.find((s) => s.id === slot.studentId) : null;
+	const team = slot.teamId ? (session.teams || []).find((t) => t.id === slot.teamId) : null;
+
+	return {
+		...slot,
+		end: new Date(slotEnd(slot)).toISOString(),
+		roomName: room ? room.name : null,
+		studentName: student ? student.name : null,
+		teamName: team ? team.name : null
+	};
+}
+
+// Describe the schedule of a session for a client, with the names of the juries of each room.
+function describeSchedule(session) {
+	if (!session.schedule) {
+		return { sessionId: session.id, rooms: [], slots: [] };
+	}
+
+	return {
+		sessionId: session.id,
+		rooms: session.schedule.rooms.map((room) => ({
+			...room,
+			juries: room.juryIds
+				.map((juryId) => session.juries.find((j) => j.id === juryId))
+				.filter(Boolean)
+				.map((jury) => ({ juryId: jury.id, juryName: jury.name }))
+		})),
+		slots: session.schedule.slots.map((slot) => describeSlot(session, slot))
+	};
+}
+
+module.exports = {
+	validateSchedule,
+	buildSchedule,
+	validateGenerateOptions,
+	generateSchedule,
+	findJuryRoom,
+	findPresenterJuryIds,
+	findCurrentSlot,
+	findNextSlot,
+	describeSlot,
+	describeSchedule
+};
@@ -0,0 +1,163 @@
+// ===================
+// SCORING & RANKINGS
+// ===================
+
+// Grading applied to sessions created without their own configuration (French /20 scale).
+const DEFAULT_GRADING = {
+	scale: 20,
+	passMark: 10,
+	bands: []
+};
+
+// Check a grading configuration sent by a client and return an error message, or null if it is valid.
+function validateGrading(grading) {
+	if (!grading || typeof grading !== 'object') {
+		return 'Grading must be an object.';
+	}
+
+	const scale = grading.scale === undefined ? DEFAULT_GRADING.scale : grading.scale;
+
+	if (!Number.isFinite(scale) || scale <= 0) {
+		return 'Grading scale must be a positive number.';
+	}
+
+	if (grading.passMark !== undefined && grading.passMark !== null) {
+		if (!Number.isFinite(grading.passMark) || grading.passMark < 0 || grading.passMark > scale) {
+			return `Pass mark must be between 0 and ${scale}.`;
+		}
+	}
+
+	if (grading.bands !== undefined) {
+		if (!Array.isArray(grading.bands)) {
+			return 'Grade bands must be an array.';
+		}
+
+		for (const band of grading.bands) {
+			if (!band || typeof band.label !== 'string' || band.label.trim() === '') {
+				return 'Each grade band must have a label.';
+			}
+
+			if (!Number.isFinite(band.min) || band.min < 0 || band.min > scale) {
+				return `Grade band "${band.label}" must have a minimum between 0 and ${scale}.`;
+			}
+		}
+	}
+
+	return null;
+}
+
+// Return a copy of a valid grading configuration, with bands sorted from highest to lowest.
+function normalizeGrading(grading) {
+	const bands = (grading.bands || [])
+		.map((band) => ({ label: band.label.trim(), min: band.min }))
+		.sort((a, b) => b.min - a.min);
+
+	return {
+		scale: grading.scale === undefined ? DEFAULT_GRADING.scale : grading.scale,
+		passMark: grading.passMark === undefined ? DEFAULT_GRADING.passMark : grading.passMark,
+		bands
+	};
+}
+
+// Get the grading of a session, falling back to the default configuration for older sessions.
+function getSessionGrading(session) {
+	return session.grading || normalizeGrading(DEFAULT_GRADING);
+}
+
+// Round a score to two decimals for display.
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+// Compute weighted section scores and the final score from per-criterion averages.
+// Each criterion is first brought back to a 0-1 range using its own min/max.
+function computeScores(rubric, grading, averages) {
+	const sectionScores = {};
+	let weightedTotal = 0;
+	let totalWeight = 0;
+
+	rubric.sections.forEach((section) => {
+		let sectionSum = 0;
+		let sectionWeight = 0;
+
+		section.criteria.forEach((criterion) => {
+			const average = averages[criterion.id];
+
+			if (!Number.isFinite(average)) {
+				return;
+			}
+
+			sectionSum += ((average - criterion.min) / (criterion.max - criterion.min)) * criterion.weight;
+			sectionWeight += criterion.weight;
+		});
+
+		if (sectionWeight === 0) {
+			sectionScores[section.name] = null;
+			return;
+		}
+
+		const ratio = sectionSum / sectionWeight;
+		const weight = section.weight === undefined ? 1 : section.weight;
+
+		sectionScores[section.name] = round(ratio * grading.scale);
+		weightedTotal += ratio * weight;
+		totalWeight += weight;
+	});
+
+	const total = totalWeight === 0 ? null : round((weightedTotal / totalWeight) * grading.scale);
+
+	return { sectionScores, total };
+}
+
+// Find the grade band reached by a total, if any.
+function findBand(grading, total) {
+	if (total === null) {
+		return null;
+	}
+
+	const band = grading.bands.find((b) => total >= b.min);
+
+	return band ? band.label : null;
+}
+
+// Rank entries within each session by descending total; ties share the same rank.
+function rankBySession(entries) {
+	const bySession = {};
+
+	entries.forEach((entry) => {
+		if (!bySession[entry.sessionId]) {
+			bySession[entry.sessionId] = [];
+		}
+
+		bySession[entry.sessionId].push(entry);
+	});
+
+	Object.values(bySession).forEach((sessionEntries) => {
+		const ranked = sessionEntries
+			.filter((entry) => entry.total !== null)
+			.sort((a, b) => b.total - a.total);
+
+		ranked.forEach((entry, index) => {
+			const previous = ranked[index - 1];
+			entry.rank = previous && previous.total === entry.total ? previous.rank : index + 1;
+		});
+
+		sessionEntries
+			.filter((entry) => entry.total === null)
+			.forEach((entry) => {
+				entry.rank = null;
+			});
+	});
+
+	return entries;
+}
+
+module.exports = {
+	DEFAULT_GRADING,
+	validateGrading,
+	normalizeGrading,
+	getSessionGrading,
+	computeScores,
+	findBand,
+	rankBySession
+};
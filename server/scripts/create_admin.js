@@ -0,0 +1,64 @@
+// =====================
+// ADMIN ACCOUNT SEEDING
+// =====================
+
+// Usage: npm run create-admin -- <username> <campus>
+//        npm run create-admin -- <username> --network
+// The second form creates a network administrator, who reads the cross-campus reports only.
+// The password is read from ADMIN_PASSWORD, or asked for interactively.
+
+// System modules.
+const readline = require('readline');
+
+// Local modules.
+const { createStorageFromEnv } = require('../storage');
+const { createUser } = require('../users');
+
+// Ask for the password on the terminal when it isn't provided through the environment.
+function askPassword() {
+	if (process.env.ADMIN_PASSWORD) {
+		return Promise.resolve(process.env.ADMIN_PASSWORD);
+	}
+
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+	return new Promise((resolve) => {
+		rl.question('Password: ', (answer) => {
+			rl.close();
+			resolve(answer);
+		});
+	});
+}
+
+async function main() {
+	const [username, campus] = process.argv.slice(2);
+	const network = campus === '--network';
+
+	if (!username || !campus) {
+		console.error('Usage: npm run create-admin -- <username> <campus|--network>');
+		process.exit(1);
+	}
+
+	// Same storage as the server.
+	const storage = createStorageFromEnv();
+	const dbData = storage.load();
+
+	const password = await askPassword();
+	const { user, error } = network
+		? createUser(dbData.users, { username, password, role: 'network-admin' })
+		: createUser(dbData.users, { username, password, campus, role: 'admin' });
+
+	if (error) {
+		console.error(error);
+		process.exit(1);
+	}
+
+	storage.save(dbData);
+	storage.close();
+
+	console.log(network
+		? `Network administrator "${user.username}" created.`
+		: `Administrator "${user.username}" created for campus ${user.campus}.`);
+}
+
+main();
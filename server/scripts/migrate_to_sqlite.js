@@ -0,0 +1,46 @@
+// ========================
+// JSON TO SQLITE MIGRATION
+// ========================
+
+// Usage: npm run migrate-to-sqlite -- [db.json path] [db.sqlite path]
+// Copies every collection of an existing JSON database into a new SQLite database.
+
+// System modules.
+const fs = require('fs');
+
+// Local modules.
+const { DEFAULT_PATHS, createStorage } = require('../storage');
+const { COLLECTIONS } = require('../storage/schema');
+
+function main() {
+	const [jsonPath = DEFAULT_PATHS.json, sqlitePath = DEFAULT_PATHS.sqlite] = process.argv.slice(2);
+
+	if (!fs.existsSync(jsonPath)) {
+		console.error(`No JSON database found at ${jsonPath}.`);
+		process.exit(1);
+	}
+
+	const source = createStorage('json', jsonPath);
+	const target = createStorage('sqlite', sqlitePath);
+
+	const data = source.load();
+	const existing = target.load();
+
+	// Never merge into a database that is already in use.
+	if (COLLECTIONS.some((name) => existing[name].length > 0)) {
+		console.error(`The SQLite database at ${sqlitePath} is not empty. Remove it first to migrate again.`);
+		target.close();
+		process.exit(1);
+	}
+
+	target.save(data);
+	target.close();
+
+	COLLECTIONS.forEach((name) => {
+		console.log(`${name}: ${data[name].length} migrated`);
+	});
+
+	console.log(`Set DB_BACKEND=sqlite to run the server on ${sqlitePath}.`);
+}
+
+main();
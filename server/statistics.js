@@ -0,0 +1,252 @@
+// ======================================
+// JURY CALIBRATION & OUTLIER DETECTION
+// ======================================
+
+// Ways of combining the scores given by several juries.
+// - mean: plain average.
+// - median: middle score, ignoring extreme juries altogether.
+// - trimmed: average once the highest and lowest scores are dropped (see `trim`).
+const AGGREGATION_METHODS = ['mean', 'median', 'trimmed'];
+
+// Ways of calibrating each jury against the panel before combining scores.
+// - none: scores as given.
+// - center: shift each jury's scores so their average matches the panel's, per criterion.
+// - zscore: also rescale them so their spread matches the panel's, per criterion.
+const NORMALIZATION_METHODS = ['none', 'center', 'zscore'];
+
+// Options used when none are given: the plain average of raw scores.
+const DEFAULT_OPTIONS = {
+	method: 'mean',
+	normalize: 'none',
+	trim: 0.2,
+	outlierThreshold: 0.25
+};
+
+// Fewest evaluations of a student needed to tell which jury stands out.
+const MIN_PANEL_SIZE = 3;
+
+// Average of a list of numbers, ignoring missing values, or null when there are none.
+function mean(values) {
+	const numbers = values.filter((v) => Number.isFinite(v));
+
+	return numbers.length > 0 ? numbers.reduce((sum, v) => sum + v, 0) / numbers.length : null;
+}
+
+// Middle value of a list of numbers, or null when it is empty.
+function median(values) {
+	if (values.length === 0) {
+		return null;
+	}
+
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+
+	return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Fewest scores from which a trimmed average drops at least one score at each end.
+const MIN_TRIMMED_SIZE = 3;
+
+// Average once the given fraction of values has been dropped at each end.
+// Usual panels are too small for the fraction to drop anything, so from MIN_TRIMMED_SIZE values on
+// at least the highest and lowest are dropped (unless the fraction is 0).
+function trimmedMean(values, fraction) {
+	const sorted = [...values].sort((a, b) => a - b);
+	const minimum = fraction > 0 && sorted.length >= MIN_TRIMMED_SIZE ? 1 : 0;
+	const dropped = Math.max(Math.floor(sorted.length * fraction), minimum);
+
+	return mean(sorted.slice(dropped, sorted.length - dropped));
+}
+
+// Population standard deviation of a list of numbers, or null with fewer than two values.
+function standardDeviation(values) {
+	if (values.length < 2) {
+		return null;
+	}
+
+	const average = mean(values);
+
+	return Math.sqrt(mean(values.map((v) => (v - average) ** 2)));
+}
+
+// Combine scores with one of AGGREGATION_METHODS.
+function aggregateScores(values, { method, trim }) {
+	if (method === 'median') {
+		return median(values);
+	}
+
+	if (method === 'trimmed') {
+		return trimmedMean(values, trim);
+	}
+
+	return mean(values);
+}
+
+// Parse statistics options from a query string, filling in defaults.
+// Returns the options, or an error message if one of them is invalid.
+function parseStatisticsOptions(query) {
+	const options = { ...DEFAULT_OPTIONS };
+
+	if (query.method !== undefined) {
+		if (!AGGREGATION_METHODS.includes(query.method)) {
+			return { error: `Method must be one of: ${AGGREGATION_METHODS.join(', ')}.` };
+		}
+
+		options.method = query.method;
+	}
+
+	if (query.normalize !== undefined) {
+		if (!NORMALIZATION_METHODS.includes(query.normalize)) {
+			return { error: `Normalization must be one of: ${NORMALIZATION_METHODS.join(', ')}.` };
+		}
+
+		options.normalize = query.normalize;
+	}
+
+	if (query.trim !== undefined) {
+		const trim = Number(query.trim);
+
+		if (!Number.isFinite(trim) || trim < 0 || trim >= 0.5) {
+			return { error: 'Trim must be a fraction from 0 up to 0.5.' };
+		}
+
+		options.trim = trim;
+	}
+
+	if (query.outlierThreshold !== undefined) {
+		const threshold = Number(query.outlierThreshold);
+
+		if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+			return { error: 'Outlier threshold must be a fraction between 0 and 1.' };
+		}
+
+		options.outlierThreshold = threshold;
+	}
+
+	return { options };
+}
+
+// Calibrate the scores of each jury against the rest of the panel, per session and criterion.
+// Rows are scored rows (submissions, or one row per student for team evaluations).
+// Calibrated scores are kept within the bounds of their criterion.
+function normalizeRows(rows, criteriaBySession, normalize) {
+	if (normalize === 'none') {
+		return rows;
+	}
+
+	const calibrated = rows.map((row) => ({ ...row }));
+
+	Object.keys(criteriaBySession).forEach((sessionId) => {
+		const sessionRows = calibrated.filter((row) => row.sessionId === sessionId);
+		const juryIds = [...new Set(sessionRows.map((row) => row.juryId || row.juryName))];
+
+		criteriaBySession[sessionId].forEach((criterion) => {
+			const panelScores = sessionRows.map((row) => row[criterion.id]).filter(Number.isFinite);
+			const panelMean = mean(panelScores);
+			const panelSpread = standardDeviation(panelScores);
+
+			juryIds.forEach((juryId) => {
+				const juryRows = sessionRows.filter((row) => (row.juryId || row.juryName) === juryId && Number.isFinite(row[criterion.id]));
+				const juryScores = juryRows.map((row) => row[criterion.id]);
+				const juryMean = mean(juryScores);
+				const jurySpread = standardDeviation(juryScores);
+
+				juryRows.forEach((row) => {
+					let score = row[criterion.id] - juryMean;
+
+					// A jury who gave the same score to everyone can only be shifted, not rescaled.
+					if (normalize === 'zscore' && jurySpread && panelSpread) {
+						score = (score / jurySpread) * panelSpread;
+					}
+
+					row[criterion.id] = Math.min(Math.max(score + panelMean, criterion.min), criterion.max);
+				});
+			});
+		});
+	});
+
+	return calibrated;
+}
+
+// Spread of the juries' scores on each criterion (standard deviation), null with fewer than two scores.
+function criteriaSpread(criteria, rows) {
+	const spread = {};
+
+	criteria.forEach((criterion) => {
+		const value = standardDeviation(rows.map((row) => row[criterion.id]).filter(Number.isFinite));
+		spread[criterion.id] = value === null ? null : Math.round(value * 100) / 100;
+	});
+
+	return spread;
+}
+
+// Score of an evaluation on each criterion as a fraction of the criterion's range.
+function relativeScores(criteria, row) {
+	const scores = {};
+
+	criteria.forEach((criterion) => {
+		if (Number.isFinite(row[criterion.id])) {
+			scores[criterion.id] = (row[criterion.id] - criterion.min) / (criterion.max - criterion.min);
+		}
+	});
+
+	return scores;
+}
+
+// Flag the evaluations that deviate strongly from the rest of the panel, for organizers to review.
+// `groups` are the evaluations of one student or team, with the criteria they were scored on.
+// An evaluation is flagged when its average distance to the panel median, as a fraction of each criterion's range,
+// reaches the threshold; the criteria on which it differs that much are listed. Distances are taken regardless
+// of direction, so a jury far above the panel on some criteria and far below on others isn't averaged out.
+function findOutliers(groups, threshold) {
+	const outliers = [];
+
+	groups.forEach(({ criteria, rows }) => {
+		if (rows.length < MIN_PANEL_SIZE) {
+			return;
+		}
+
+		const relative = rows.map((row) => relativeScores(criteria, row));
+		const medians = {};
+
+		criteria.forEach((criterion) => {
+			medians[criterion.id] = median(relative.map((scores) => scores[criterion.id]).filter(Number.isFinite));
+		});
+
+		rows.forEach((row, index) => {
+			const deviations = {};
+
+			Object.keys(relative[index]).forEach((criterionId) => {
+				deviations[criterionId] = relative[index][criterionId] - medians[criterionId];
+			});
+
+			const deviation = mean(Object.values(deviations).map(Math.abs));
+
+			if (deviation !== null && deviation >= threshold) {
+				outliers.push({
+					submissionId: row.id,
+					sessionId: row.sessionId,
+					juryId: row.juryId || null,
+					juryName: row.juryName || null,
+					studentId: row.teamId ? null : row.studentId || null,
+					studentName: row.teamId ? null : row.studentName || null,
+					teamId: row.teamId || null,
+					deviation: Math.round(deviation * 100) / 100,
+					criteria: Object.keys(deviations).filter((criterionId) => Math.abs(deviations[criterionId]) >= threshold)
+				});
+			}
+		});
+	});
+
+	return outliers;
+}
+
+module.exports = {
+	DEFAULT_OPTIONS,
+	mean,
+	aggregateScores,
+	parseStatisticsOptions,
+	normalizeRows,
+	criteriaSpread,
+	findOutliers
+};
@@ -0,0 +1,45 @@
+// =================
+// STORAGE SELECTION
+// =================
+
+// System modules.
+const path = require('path');
+
+// Local modules.
+const { createJsonStorage } = require('./json_storage');
+
+// Default database file of each backend.
+const DEFAULT_PATHS = {
+	json: path.join(__dirname, '../../data/db.json'),
+	sqlite: path.join(__dirname, '../../data/db.sqlite')
+};
+
+// Create the storage backend named by `backend` ("json" or "sqlite"), at `filePath` or its default location.
+// Every backend exposes the same interface: load() returns the whole database, save(data) persists it,
+// and wasUpgraded() tells whether the last load upgraded data from an older version that should be saved.
+function createStorage(backend = 'json', filePath) {
+	if (!DEFAULT_PATHS[backend]) {
+		throw new Error(`Unknown storage backend "${backend}". Use "json" or "sqlite".`);
+	}
+
+	const resolvedPath = filePath || DEFAULT_PATHS[backend];
+
+	if (backend === 'sqlite') {
+		// Only load the native SQLite driver when it is actually used.
+		const { createSqliteStorage } = require('./sqlite_storage');
+		return createSqliteStorage(resolvedPath);
+	}
+
+	return createJsonStorage(resolvedPath);
+}
+
+// Create the storage backend configured through the DB_BACKEND and DB_PATH environment variables.
+function createStorageFromEnv() {
+	return createStorage(process.env.DB_BACKEND || 'json', process.env.DB_PATH);
+}
+
+module.exports = {
+	DEFAULT_PATHS,
+	createStorage,
+	createStorageFromEnv
+};
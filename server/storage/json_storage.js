@@ -0,0 +1,75 @@
+// ============
+// JSON STORAGE
+// ============
+
+// System modules.
+const fs = require('fs');
+const path = require('path');
+
+// Local modules.
+const { createEmptyData, normalizeData } = require('./schema');
+
+// Write a file atomically: write a temporary sibling, flush it to disk, then rename it over the target.
+// A crash mid-write leaves either the old or the new file, never a truncated one.
+function writeFileAtomic(filePath, contents) {
+	const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+	const fd = fs.openSync(tempPath, 'w');
+
+	try {
+		fs.writeSync(fd, contents);
+		fs.fsyncSync(fd);
+	} finally {
+		fs.closeSync(fd);
+	}
+
+	fs.renameSync(tempPath, filePath);
+}
+
+// Create a storage backend keeping the whole database in a single JSON file.
+function createJsonStorage(filePath) {
+	// Whether the last load upgraded data from an older version.
+	let upgraded = false;
+
+	// Save the given database state to the file.
+	function save(data) {
+		writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+	}
+
+	// Load the database from the file, or create it if it doesn't exist.
+	function load() {
+		if (!fs.existsSync(filePath)) {
+			const data = createEmptyData();
+			save(data);
+			return data;
+		}
+
+		let data;
+
+		try {
+			data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		} catch (err) {
+			throw new Error(`Invalid database: ${filePath} is not valid JSON (${err.message}).`);
+		}
+
+		const normalized = normalizeData(data);
+
+		upgraded = normalized.upgraded;
+
+		return normalized.data;
+	}
+
+	// Check whether the last load upgraded data from an older version, which then needs saving.
+	function wasUpgraded() {
+		return upgraded;
+	}
+
+	// Nothing to release for a plain file.
+	function close() {}
+
+	return { type: 'json', load, save, wasUpgraded, close };
+}
+
+module.exports = {
+	createJsonStorage,
+	writeFileAtomic
+};
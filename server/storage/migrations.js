@@ -0,0 +1,150 @@
+// ===================
+// DATABASE MIGRATIONS
+// ===================
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Map each name of a roster to the id of its first entry.
+function mapNamesToIds(entries) {
+	const ids = {};
+
+	entries.forEach((entry) => {
+		if (!ids[entry.name]) {
+			ids[entry.name] = entry.id;
+		}
+	});
+
+	return ids;
+}
+
+// Turn a roster stored as bare names into entries with an id and profile fields.
+// Entries sharing a name can't be told apart in old data, so they become a single entry.
+function migrateRosterList(names, buildEntry) {
+	const entries = [];
+
+	names.forEach((entry) => {
+		if (typeof entry !== 'string') {
+			entries.push(entry);
+		} else if (!entries.some((e) => e.name === entry)) {
+			entries.push({ id: uuidv4(), ...buildEntry(entry) });
+		}
+	});
+
+	return entries;
+}
+
+// Migrate the juries, students and teams of a session whose roster is stored as bare names.
+// The optional columns of a previous import (kept in `juryDetails` and `studentDetails`) become profile fields,
+// and the team column of imported students becomes a membership of the team with that name.
+function migrateSessionRoster(session, users) {
+	const juryDetails = session.juryDetails || {};
+	const studentDetails = session.studentDetails || {};
+
+	session.juries = migrateRosterList(session.juries || [], (name) => {
+		const account = users.find((u) => u.role === 'jury' && u.campus === session.campus && u.juryName === name);
+
+		return {
+			name,
+			email: (juryDetails[name] || {}).email || '',
+			company: (juryDetails[name] || {}).company || '',
+			userId: account ? account.id : null
+		};
+	});
+
+	session.students = migrateRosterList(session.students || [], (name) => ({
+		name,
+		project: (studentDetails[name] || {}).project || '',
+		order: (studentDetails[name] || {}).order || null
+	}));
+
+	const studentIds = mapNamesToIds(session.students);
+
+	session.teams = (session.teams || []).map((team) => ({
+		...team,
+		members: team.members
+			.map((member) => (session.students.some((s) => s.id === member) ? member : studentIds[member]))
+			.filter(Boolean)
+	}));
+
+	Object.keys(studentDetails).forEach((name) => {
+		const teamName = studentDetails[name].team;
+		const studentId = studentIds[name];
+
+		if (!teamName || !studentId || session.teams.some((t) => t.members.includes(studentId))) {
+			return;
+		}
+
+		let team = session.teams.find((t) => t.name === teamName);
+
+		if (!team) {
+			team = { id: uuidv4(), name: teamName, projectName: studentDetails[name].project || '', repoUrl: '', members: [] };
+			session.teams.push(team);
+		}
+
+		team.members.push(studentId);
+	});
+
+	delete session.juryDetails;
+	delete session.studentDetails;
+}
+
+// Give an id to every jury and student stored as a bare name, and point submissions, teams and invitations
+// at those ids instead of names, so renaming an entry keeps everything linked.
+// Submissions whose jury or student was removed from the roster keep the name they were recorded with.
+// Runs on every load, but only touches documents still in the old format.
+// Returns whether anything was migrated.
+function migrateRosterIds(data) {
+	const legacySessions = data.sessions.filter((session) => {
+		return [...(session.juries || []), ...(session.students || [])].some((entry) => typeof entry === 'string');
+	});
+
+	if (legacySessions.length === 0) {
+		return false;
+	}
+
+	legacySessions.forEach((session) => migrateSessionRoster(session, data.users));
+
+	legacySessions.forEach((session) => {
+		const juryIds = mapNamesToIds(session.juries);
+		const studentIds = mapNamesToIds(session.students);
+
+		data.submissions
+			.filter((sub) => sub.sessionId === session.id && sub.juryId === undefined)
+			.forEach((sub) => {
+				sub.juryId = juryIds[sub.juryName] || null;
+				sub.studentId = studentIds[sub.studentName] || null;
+
+				if (sub.juryId) {
+					delete sub.juryName;
+				}
+
+				if (sub.studentId || sub.teamId) {
+					delete sub.studentName;
+				}
+
+				if (sub.memberScores) {
+					const memberScores = {};
+
+					Object.keys(sub.memberScores).forEach((name) => {
+						memberScores[studentIds[name] || name] = sub.memberScores[name];
+					});
+
+					sub.memberScores = memberScores;
+				}
+			});
+
+		data.invitations
+			.filter((invitation) => invitation.sessionId === session.id && invitation.juryId === undefined)
+			.forEach((invitation) => {
+				invitation.juryId = juryIds[invitation.juryName] || null;
+				delete invitation.juryName;
+			});
+	});
+
+	return true;
+}
+
+module.exports = {
+	migrateRosterIds
+};
@@ -0,0 +1,88 @@
+// ===============
+// DATABASE SCHEMA
+// ===============
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Local modules.
+const { migrateRosterIds } = require('./migrations');
+
+// Collections stored by every backend, each holding a list of documents with an `id`.
+const COLLECTIONS = ['sessions', 'submissions', 'users', 'invitations', 'trash', 'auditLog'];
+
+// Build an empty database.
+function createEmptyData() {
+	const data = {};
+
+	COLLECTIONS.forEach((name) => {
+		data[name] = [];
+	});
+
+	return data;
+}
+
+// Check the shape of loaded data and fill in what older databases lack.
+// Throws with a descriptive message rather than letting a malformed file reach the routes.
+// Returns the data along with whether documents from an older version were upgraded, and need saving.
+// Collections missing from older databases are filled in empty without counting as an upgrade.
+function normalizeData(data) {
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		throw new Error('Invalid database: expected an object at the top level.');
+	}
+
+	COLLECTIONS.forEach((name) => {
+		// Databases created before some features existed don't have every collection.
+		if (data[name] === undefined) {
+			data[name] = [];
+		}
+
+		if (!Array.isArray(data[name])) {
+			throw new Error(`Invalid database: "${name}" must be an array.`);
+		}
+
+		data[name].forEach((doc, index) => {
+			if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+				throw new Error(`Invalid database: "${name}[${index}]" must be an object.`);
+			}
+		});
+	});
+
+	let upgraded = false;
+
+	// Give an id to submissions recorded before ids existed, so they can be edited.
+	data.submissions.forEach((sub) => {
+		if (!sub.id) {
+			sub.id = uuidv4();
+			upgraded = true;
+		}
+	});
+
+	if (migrateRosterIds(data)) {
+		upgraded = true;
+	}
+
+	COLLECTIONS.forEach((name) => {
+		const ids = new Set();
+
+		data[name].forEach((doc, index) => {
+			if (typeof doc.id !== 'string' || doc.id === '') {
+				throw new Error(`Invalid database: "${name}[${index}]" has no id.`);
+			}
+
+			if (ids.has(doc.id)) {
+				throw new Error(`Invalid database: duplicate id "${doc.id}" in "${name}".`);
+			}
+
+			ids.add(doc.id);
+		});
+	});
+
+	return { data, upgraded };
+}
+
+module.exports = {
+	COLLECTIONS,
+	createEmptyData,
+	normalizeData
+};
@@ -0,0 +1,100 @@
+// ==============
+// SQLITE STORAGE
+// ==============
+
+// Third-party libraries.
+const Database = require('better-sqlite3');
+
+// Local modules.
+const { COLLECTIONS, createEmptyData, normalizeData } = require('./schema');
+
+// Create a storage backend keeping each collection in its own SQLite table.
+// Documents are stored as JSON next to their id, and only changed documents are written on save.
+function createSqliteStorage(filePath) {
+	const db = new Database(filePath);
+
+	// WAL lets readers carry on while a save is being committed.
+	db.pragma('journal_mode = WAL');
+
+	COLLECTIONS.forEach((name) => {
+		db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+	});
+
+	const statements = {};
+
+	COLLECTIONS.forEach((name) => {
+		statements[name] = {
+			selectAll: db.prepare(`SELECT id, data FROM ${name} ORDER BY rowid`),
+			upsert: db.prepare(`INSERT INTO ${name} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`),
+			remove: db.prepare(`DELETE FROM ${name} WHERE id = ?`)
+		};
+	});
+
+	// Serialized documents as last written, per collection and id, to only write what changed.
+	const written = {};
+
+	// Whether the last load upgraded data from an older version.
+	let upgraded = false;
+
+	// Load every collection from its table.
+	function load() {
+		const data = createEmptyData();
+
+		COLLECTIONS.forEach((name) => {
+			written[name] = new Map();
+
+			statements[name].selectAll.all().forEach((row) => {
+				data[name].push(JSON.parse(row.data));
+				written[name].set(row.id, row.data);
+			});
+		});
+
+		const normalized = normalizeData(data);
+
+		upgraded = normalized.upgraded;
+
+		return normalized.data;
+	}
+
+	// Check whether the last load upgraded data from an older version, which then needs saving.
+	function wasUpgraded() {
+		return upgraded;
+	}
+
+	// Save the given database state in a single transaction.
+	const save = db.transaction((data) => {
+		COLLECTIONS.forEach((name) => {
+			const previous = written[name] || new Map();
+			const current = new Map();
+
+			(data[name] || []).forEach((doc) => {
+				const serialized = JSON.stringify(doc);
+
+				if (previous.get(doc.id) !== serialized) {
+					statements[name].upsert.run(doc.id, serialized);
+				}
+
+				current.set(doc.id, serialized);
+			});
+
+			previous.forEach((serialized, id) => {
+				if (!current.has(id)) {
+					statements[name].remove.run(id);
+				}
+			});
+
+			written[name] = current;
+		});
+	});
+
+	// Close the underlying database connection.
+	function close() {
+		db.close();
+	}
+
+	return { type: 'sqlite', load, save, wasUpgraded, close };
+}
+
+module.exports = {
+	createSqliteStorage
+};
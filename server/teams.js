@@ -0,0 +1,85 @@
+// =====
+// TEAMS
+// =====
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Check a team sent by a client against the roster of its session, members being given by student id.
+// `teamId` is the team being updated, if any, so it doesn't conflict with itself.
+// Returns an error message, or null if the team is valid.
+function validateTeam(session, { name, projectName, repoUrl, members }, teamId = null) {
+	if (typeof name !== 'string' || name.trim() === '') {
+		return 'Team name is required.';
+	}
+
+	if (projectName !== undefined && projectName !== null && typeof projectName !== 'string') {
+		return 'Project name must be text.';
+	}
+
+	if (repoUrl) {
+		let url;
+
+		try {
+			url = new URL(repoUrl);
+		} catch (err) {
+			url = null;
+		}
+
+		if (!url || !['http:', 'https:'].includes(url.protocol)) {
+			return 'Repository link must be an http(s) URL.';
+		}
+	}
+
+	if (!Array.isArray(members) || members.length === 0) {
+		return 'A team needs at least one member.';
+	}
+
+	const otherTeams = (session.teams || []).filter((t) => t.id !== teamId);
+
+	if (otherTeams.some((t) => t.name === name.trim())) {
+		return 'Another team already has this name.';
+	}
+
+	for (const studentId of members) {
+		const student = session.students.find((s) => s.id === studentId);
+
+		if (!student) {
+			return `Student "${studentId}" does not exist in this session.`;
+		}
+
+		const otherTeam = otherTeams.find((t) => t.members.includes(studentId));
+
+		if (otherTeam) {
+			return `Student "${student.name}" is already a member of team "${otherTeam.name}".`;
+		}
+	}
+
+	if (new Set(members).size !== members.length) {
+		return 'A student is listed more than once.';
+	}
+
+	return null;
+}
+
+// Build a team from valid input, keeping the id of the team being updated.
+function buildTeam({ name, projectName, repoUrl, members }, teamId = uuidv4()) {
+	return {
+		id: teamId,
+		name: name.trim(),
+		projectName: projectName ? projectName.trim() : '',
+		repoUrl: repoUrl || '',
+		members: [...members]
+	};
+}
+
+// Find the team a student belongs to in a session, if any.
+function findStudentTeam(session, studentId) {
+	return (session.teams || []).find((t) => t.members.includes(studentId)) || null;
+}
+
+module.exports = {
+	validateTeam,
+	buildTeam,
+	findStudentTeam
+};
@@ -0,0 +1,142 @@
+// =====
+// TRASH
+// =====
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// How long deleted sessions and roster entries can be restored before being purged for good.
+const TRASH_RETENTION_DAYS = 30;
+
+// Roster list holding each type of deleted entry.
+const ROSTER_LISTS = {
+	jury: 'juries',
+	student: 'students'
+};
+
+// Build a trash item holding everything needed to restore what was deleted.
+function createTrashItem(type, session, name, deletedBy, contents) {
+	const now = new Date();
+
+	return {
+		id: uuidv4(),
+		type,
+		campus: session.campus,
+		sessionId: session.id,
+		name,
+		deletedBy,
+		deletedAt: now.toISOString(),
+		expiresAt: new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+		contents
+	};
+}
+
+// Check whether a trash item is past its retention window.
+function isTrashItemExpired(item) {
+	return new Date(item.expiresAt) <= new Date();
+}
+
+// Drop the trash items past their retention window. Returns how many were dropped.
+function purgeExpiredTrash(data) {
+	const count = data.trash.length;
+
+	data.trash = data.trash.filter((item) => !isTrashItemExpired(item));
+
+	return count - data.trash.length;
+}
+
+// Move a session to the trash along with its submissions and invitations.
+function trashSession(data, session, deletedBy) {
+	const item = createTrashItem('session', session, session.name, deletedBy, {
+		session,
+		submissions: data.submissions.filter((sub) => sub.sessionId === session.id),
+		invitations: data.invitations.filter((i) => i.sessionId === session.id)
+	});
+
+	data.sessions = data.sessions.filter((s) => s.id !== session.id);
+	data.submissions = data.submissions.filter((sub) => sub.sessionId !== session.id);
+	data.invitations = data.invitations.filter((i) => i.sessionId !== session.id);
+	data.trash.push(item);
+
+	return item;
+}
+
+// Move a jury or student of a session to the trash along with their evaluations,
+// and the invitations of a jury or the teams of a student.
+// Team evaluations stay with the team: a restored student gets their result from them back once they rejoin it.
+function trashRosterEntry(data, session, type, entryId, deletedBy) {
+	const list = ROSTER_LISTS[type];
+	const entry = session[list].find((e) => e.id === entryId);
+	const key = type === 'jury' ? 'juryId' : 'studentId';
+	const isOwn = (doc) => doc.sessionId === session.id && doc[key] === entryId;
+	const teams = (session.teams || []).filter((t) => t.members.includes(entryId));
+
+	const item = createTrashItem(type, session, entry.name, deletedBy, {
+		entry,
+		submissions: data.submissions.filter(isOwn),
+		invitations: data.invitations.filter(isOwn),
+		teamIds: teams.map((t) => t.id)
+	});
+
+	session[list] = session[list].filter((e) => e.id !== entryId);
+	teams.forEach((team) => {
+		team.members = team.members.filter((member) => member !== entryId);
+	});
+	data.submissions = data.submissions.filter((doc) => !isOwn(doc));
+	data.invitations = data.invitations.filter((doc) => !isOwn(doc));
+	data.trash.push(item);
+
+	return item;
+}
+
+// Put the contents of a trash item back where they were and remove it from the trash.
+// A student goes back into their team, unless they have joined another team since.
+// Returns an error message, or null once restored.
+function restoreTrashItem(data, item) {
+	const { contents } = item;
+
+	if (item.type === 'session') {
+		data.sessions.push(contents.session);
+	} else {
+		const session = data.sessions.find((s) => s.id === item.sessionId);
+
+		if (!session) {
+			return 'The session of this entry has been deleted: restore the session first.';
+		}
+
+		session[ROSTER_LISTS[item.type]].push(contents.entry);
+
+		const teams = session.teams || [];
+		const formerTeam = teams.find((t) => contents.teamIds.includes(t.id));
+
+		if (formerTeam && !teams.some((t) => t.members.includes(contents.entry.id))) {
+			formerTeam.members.push(contents.entry.id);
+		}
+	}
+
+	data.submissions.push(...contents.submissions);
+	data.invitations.push(...contents.invitations);
+	data.trash = data.trash.filter((t) => t.id !== item.id);
+
+	return null;
+}
+
+// Describe a trash item for a client, without its contents.
+function toTrashSummary(item) {
+	const { contents, ...summary } = item;
+
+	return {
+		...summary,
+		submissionCount: contents.submissions.filter((sub) => !sub.withdrawnAt).length
+	};
+}
+
+module.exports = {
+	TRASH_RETENTION_DAYS,
+	isTrashItemExpired,
+	purgeExpiredTrash,
+	trashSession,
+	trashRosterEntry,
+	restoreTrashItem,
+	toTrashSummary
+};
@@ -0,0 +1,143 @@
+// =============
+// USER ACCOUNTS
+// =============
+
+// System modules.
+const crypto = require('crypto');
+
+// Third-party libraries.
+const { v4: uuidv4 } = require('uuid');
+
+// Roles an account can have:
+// - admin: campus administrator, manages accounts on top of everything staff can do.
+// - staff: manages sessions and rosters, and submits evaluations on behalf of juries.
+// - jury: submits and edits their own evaluations, for the sessions they are assigned to.
+// - viewer: reads results only.
+// - network-admin: national administrator, belongs to no campus and reads the cross-campus reports only.
+const ROLES = ['admin', 'staff', 'jury', 'viewer', 'network-admin'];
+
+// Roles a campus administrator can give: network administrators are only created from the command line.
+const CAMPUS_ROLES = ROLES.filter((role) => role !== 'network-admin');
+
+// Minimum length accepted for a new password.
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt parameters used to derive password hashes.
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+// Hash a password with a fresh random salt.
+function hashPassword(password) {
+	const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+	const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+
+	return { salt, hash };
+}
+
+// Check a password against a stored salt and hash in constant time.
+function verifyPassword(password, salt, hash) {
+	const expected = Buffer.from(hash, 'hex');
+	const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+
+	return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Check a new password and return an error message, or null if it is acceptable.
+function validatePassword(password) {
+	if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+		return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+	}
+
+	return null;
+}
+
+// Find an account by username, ignoring case.
+function findUserByUsername(users, username) {
+	const wanted = String(username).toLowerCase();
+
+	return users.find((u) => u.username.toLowerCase() === wanted);
+}
+
+// Create an account in the given user list.
+// Jury accounts get a jury name, defaulting to the username, used when they are added to a session roster.
+// Network administrators have no campus.
+// Returns the new user, or an error message if the input is invalid.
+function createUser(users, { username, password, campus, role, juryName }) {
+	if (typeof username !== 'string' || username.trim() === '') {
+		return { error: 'Username is required.' };
+	}
+
+	if (role !== 'network-admin' && (typeof campus !== 'string' || campus.trim() === '')) {
+		return { error: 'Campus is required.' };
+	}
+
+	if (!ROLES.includes(role)) {
+		return { error: `Role must be one of: ${ROLES.join(', ')}.` };
+	}
+
+	const passwordError = validatePassword(password);
+
+	if (passwordError) {
+		return { error: passwordError };
+	}
+
+	if (juryName !== undefined && (typeof juryName !== 'string' || juryName.trim() === '')) {
+		return { error: 'Jury name must not be empty.' };
+	}
+
+	if (findUserByUsername(users, username.trim())) {
+		return { error: 'Username is already taken.' };
+	}
+
+	const { salt, hash } = hashPassword(password);
+
+	const newUser = {
+		id: uuidv4(),
+		username: username.trim(),
+		campus: role === 'network-admin' ? null : campus.trim(),
+		role,
+		juryName: role === 'jury' ? (juryName || username).trim() : null,
+		passwordSalt: salt,
+		passwordHash: hash,
+		disabled: false,
+		createdAt: new Date().toISOString()
+	};
+
+	users.push(newUser);
+
+	return { user: newUser };
+}
+
+// Replace the password of an existing account.
+function setPassword(user, password) {
+	const passwordError = validatePassword(password);
+
+	if (passwordError) {
+		return passwordError;
+	}
+
+	const { salt, hash } = hashPassword(password);
+
+	user.passwordSalt = salt;
+	user.passwordHash = hash;
+	user.passwordChangedAt = new Date().toISOString();
+
+	return null;
+}
+
+// Strip credentials before sending an account to a client.
+function toPublicUser(user) {
+	const { passwordSalt, passwordHash, ...publicUser } = user;
+
+	return publicUser;
+}
+
+module.exports = {
+	ROLES,
+	CAMPUS_ROLES,
+	verifyPassword,
+	findUserByUsername,
+	createUser,
+	setPassword,
+	toPublicUser
+};
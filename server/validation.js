@@ -0,0 +1,130 @@
+// ======================
+// EVALUATION VALIDATION
+// ======================
+
+// Local modules.
+const { listCriteria } = require('./rubric');
+
+// Longest comment a jury can leave for a student.
+const MAX_COMMENT_LENGTH = 2000;
+
+// Tolerance used when checking that a score falls on an allowed step.
+const STEP_EPSILON = 1e-9;
+
+// Parse a score sent as a number or a numeric string, returning NaN for anything else.
+function parseScore(value) {
+	if (typeof value === 'number') {
+		return value;
+	}
+
+	if (typeof value === 'string' && value.trim() !== '') {
+		return Number(value);
+	}
+
+	return NaN;
+}
+
+// Check a set of scores against the given criteria.
+// Returns the parsed scores along with one error per failing field.
+function validateScores(criteria, values, { required = true, fieldPrefix = '' } = {}) {
+	const scores = {};
+	const errors = [];
+
+	criteria.forEach((criterion) => {
+		const field = fieldPrefix + criterion.id;
+		const value = values[criterion.id];
+
+		if (value === undefined || value === null || value === '') {
+			if (required) {
+				errors.push({ field, reason: 'Score is required.' });
+			}
+			return;
+		}
+
+		const score = parseScore(value);
+
+		if (!Number.isFinite(score)) {
+			errors.push({ field, reason: 'Score must be a number.' });
+			return;
+		}
+
+		if (score < criterion.min || score > criterion.max) {
+			errors.push({ field, reason: `Score must be between ${criterion.min} and ${criterion.max}.` });
+			return;
+		}
+
+		if (criterion.step) {
+			const steps = (score - criterion.min) / criterion.step;
+
+			if (Math.abs(steps - Math.round(steps)) > STEP_EPSILON) {
+				errors.push({ field, reason: `Score must be a multiple of ${criterion.step} from ${criterion.min}.` });
+				return;
+			}
+		}
+
+		scores[criterion.id] = score;
+	});
+
+	return { scores, errors };
+}
+
+// Check the free-text comments of an evaluation.
+function validateComments(body) {
+	const comments = body.studentComments;
+
+	if (comments !== undefined && comments !== null && typeof comments !== 'string') {
+		return [{ field: 'studentComments', reason: 'Comments must be text.' }];
+	}
+
+	if (comments && comments.length > MAX_COMMENT_LENGTH) {
+		return [{ field: 'studentComments', reason: `Comments must not exceed ${MAX_COMMENT_LENGTH} characters.` }];
+	}
+
+	return [];
+}
+
+// Check the payload of an evaluation of a single student: every criterion of the rubric is required.
+// Returns the parsed scores along with one error per failing field.
+function validateEvaluation(rubric, body) {
+	const { scores, errors } = validateScores(listCriteria(rubric), body);
+
+	return { scores, errors: [...errors, ...validateComments(body)] };
+}
+
+// Check the payload of a team evaluation: team criteria are required once for the team,
+// individual criteria are optional and given per member id in `memberScores`.
+// Returns the team scores and the scores of each member along with one error per failing field.
+function validateTeamEvaluation(rubric, body, members) {
+	const criteria = listCriteria(rubric);
+	const { scores, errors } = validateScores(criteria.filter((c) => c.scope === 'team'), body);
+	const individualCriteria = criteria.filter((c) => c.scope === 'individual');
+	const memberScores = {};
+	const given = body.memberScores || {};
+
+	if (typeof given !== 'object' || Array.isArray(given)) {
+		errors.push({ field: 'memberScores', reason: 'Member scores must be an object keyed by student id.' });
+	} else {
+		Object.keys(given).forEach((studentId) => {
+			if (!members.includes(studentId)) {
+				errors.push({ field: `memberScores.${studentId}`, reason: 'Student is not a member of this team.' });
+				return;
+			}
+
+			const result = validateScores(individualCriteria, given[studentId] || {}, {
+				required: false,
+				fieldPrefix: `memberScores.${studentId}.`
+			});
+
+			memberScores[studentId] = result.scores;
+			errors.push(...result.errors);
+		});
+	}
+
+	return { scores, memberScores, errors: [...errors, ...validateComments(body)] };
+}
+
+module.exports = {
+	MAX_COMMENT_LENGTH,
+	validateEvaluation,
+	validateTeamEvaluation
+};
@@ -2,11 +2,44 @@
 // UNITTESTS
 // =========
 
+// System modules
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
 // Third-party libraries
 const request = require('supertest');
 const { expect } = require('chai');
 
 // Local modules
+const { createUser } = require('../server/users');
+
+// Run the tests against a throwaway database seeded with a campus administrator, a network administrator,
+// and an evaluated session of another campus for the network reports.
+const testDbPath = path.join(os.tmpdir(), `demoday-test-${process.pid}.json`);
+const seedUsers = [];
+createUser(seedUsers, { username: 'toulouse.admin', password: 'demoday-toulouse', campus: 'Toulouse', role: 'admin' });
+createUser(seedUsers, { username: 'network.admin', password: 'demoday-network', role: 'network-admin' });
+const seedSessions = [{
+	id: 'lyon-session',
+	name: 'Lyon Demoday',
+	campus: 'Lyon',
+	juries: [{ id: 'lyon-jury', name: 'Lea' }],
+	students: [{ id: 'lyon-student', name: 'Louis' }]
+}];
+const seedSubmissions = [{
+	id: 'lyon-submission',
+	sessionId: 'lyon-session',
+	juryId: 'lyon-jury',
+	studentId: 'lyon-student',
+	introductionTeam: 4,
+	clarity: 5,
+	createdAt: '2025-03-14T10:00:00.000Z'
+}];
+fs.writeFileSync(testDbPath, JSON.stringify({ sessions: seedSessions, submissions: seedSubmissions, users: seedUsers }));
+process.env.DB_PATH = testDbPath;
+
 const app = require('../server/app');
 
 describe('UNITTESTS', () => {
@@ -14,10 +47,22 @@ describe('UNITTESTS', () => {
 	let agent;
 	// Will store a session's ID for later tests.           
 	let createdSessionId;
+	// Will store the submitted evaluation's ID for later tests.
+	let createdSubmissionId;
+	// Will store the invitation link issued for the jury.
+	let invitationUrl;
+	// Will store a team's ID for later tests.
+	let createdTeamId;
+	// Will store the roster IDs of the jury and students for later tests.
+	let createdJuryId;
+	let createdStudentId;
+	let aliceId;
+	let bobId;
 
 	// User credentials for testing.
-	const validCampusUser = { username: 'Toulouse', password: 'demo' };
+	const validCampusUser = { username: 'toulouse.admin', password: 'demoday-toulouse' };
 	const invalidCampusUser = { username: 'fakeUser', password: 'badPass' };
+	const campus = 'Toulouse';
 
 	// Names used in various tests.
 	const juryName = 'Hugo';
@@ -42,10 +87,40 @@ describe('UNITTESTS', () => {
 		timeManagement: '1',
 		energy: '1',
 		audienceInteraction: '1',
+		projectFunctionality: '1',
 		questionsAnswers: '1',
 		studentComments: 'Well done!'
 	};
 
+	// Collect a binary response body (spreadsheets, PDFs, archives) into a Buffer.
+	const binaryParser = (response, callback) => {
+		const chunks = [];
+		response.on('data', (chunk) => chunks.push(chunk));
+		response.on('end', () => callback(null, Buffer.concat(chunks)));
+	};
+
+	// Wait for the next Server-Sent Event of a given type on an open stream and resolve with its data.
+	const waitForEvent = (stream, type) => new Promise((resolve) => {
+		let buffer = '';
+		const onData = (chunk) => {
+			buffer += chunk;
+			const blocks = buffer.split('\n\n');
+			buffer = blocks.pop();
+
+			blocks.forEach((block) => {
+				const eventLine = block.split('\n').find((line) => line.startsWith('event: '));
+				const dataLine = block.split('\n').find((line) => line.startsWith('data: '));
+
+				if (eventLine && eventLine.slice(7) === type) {
+					stream.off('data', onData);
+					resolve(JSON.parse(dataLine.slice(6)));
+				}
+			});
+		};
+		stream.setEncoding('utf8');
+		stream.on('data', onData);
+	});
+
 	before(() => {
 		// Create a SuperTest agent so session data (cookies) persist across requests.
 		agent = request.agent(app);
@@ -69,14 +144,81 @@ describe('UNITTESTS', () => {
 			expect(res.status).to.equal(200);
 			expect(res.body.success).to.equal(true);
 			expect(res.body.message).to.equal('Logged in successfully!');
-			expect(res.body.campus).to.equal(validCampusUser.username);
+			expect(res.body.campus).to.equal(campus);
 		});
 
 		it('Should confirm the session is active.', async () => {
 			const res = await agent.get('/api/checkSession');
 			expect(res.status).to.equal(200);
 			expect(res.body.loggedIn).to.equal(true);
-			expect(res.body.campus).to.equal(validCampusUser.username);
+			expect(res.body.campus).to.equal(campus);
+		});
+
+		it('Should give a new session id on login.', async () => {
+			const loginAgent = request.agent(app);
+			const sessionCookie = (res) => (res.headers['set-cookie'] || []).find((c) => c.startsWith('connect.sid='));
+
+			const before = sessionCookie(await loginAgent.get('/api/checkSession'));
+			const after = sessionCookie(await loginAgent.post('/api/login').send(validCampusUser));
+
+			expect(before).to.be.a('string');
+			expect(after).to.be.a('string');
+			expect(after.split(';')[0]).to.not.equal(before.split(';')[0]);
+		});
+
+		it('Should fail login with the former shared campus password.', async () => {
+			const res = await request(app).post('/api/login').send({ username: 'Toulouse', password: 'demo' });
+			expect(res.body.success).to.equal(false);
+		});
+	});
+
+
+	// ===================
+	// USER ACCOUNTS TESTS
+	// ===================
+
+	describe('User Administration Routes:', () => {
+		const staffUser = { username: 'toulouse.staff', password: 'staff-password' };
+		let staffUserId;
+
+		it('Should create a staff account in the admin\'s campus.', async () => {
+			const res = await agent.post('/api/users').send({ ...staffUser, role: 'staff' });
+			expect(res.status).to.equal(200);
+			expect(res.body.user.campus).to.equal(campus);
+			expect(res.body.user).to.not.have.property('passwordHash');
+
+			staffUserId = res.body.user.id;
+		});
+
+		it('Should refuse a password that is too short.', async () => {
+			const res = await agent.post('/api/users').send({ username: 'short', password: 'abc' });
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Password must be at least 8 characters long.');
+		});
+
+		it('Should forbid account management to staff users.', async () => {
+			const staffAgent = request.agent(app);
+			await staffAgent.post('/api/login').send(staffUser);
+
+			const res = await staffAgent.get('/api/users');
+			expect(res.status).to.equal(403);
+		});
+
+		it('Should reset the password of an account.', async () => {
+			const res = await agent.post(`/api/users/${staffUserId}/password`).send({ password: 'new-staff-password' });
+			expect(res.status).to.equal(200);
+
+			const login = await request(app).post('/api/login').send({ ...staffUser, password: 'new-staff-password' });
+			expect(login.body.success).to.equal(true);
+		});
+
+		it('Should disable an account and refuse its login.', async () => {
+			const res = await agent.patch(`/api/users/${staffUserId}`).send({ disabled: true });
+			expect(res.status).to.equal(200);
+			expect(res.body.user.disabled).to.equal(true);
+
+			const login = await request(app).post('/api/login').send({ ...staffUser, password: 'new-staff-password' });
+			expect(login.body.success).to.equal(false);
 		});
 	});
 
@@ -92,11 +234,65 @@ describe('UNITTESTS', () => {
 			expect(res.body).to.have.property('session');
 			expect(res.body.session).to.be.an('object');
 			expect(res.body.session.name).to.equal(sessionName);
-			expect(res.body.session.campus).to.equal(validCampusUser.username);
+			expect(res.body.session.campus).to.equal(campus);
 
 			createdSessionId = res.body.session.id;
 		});
 
+		it('Should start new sessions as drafts.', async () => {
+			const res = await agent.get('/api/sessions');
+			const foundSession = res.body.find((s) => s.id === createdSessionId);
+			expect(foundSession.status).to.equal('draft');
+			expect(foundSession.statusHistory).to.have.lengthOf(1);
+			expect(foundSession.statusHistory[0]).to.include({ from: null, to: 'draft' });
+		});
+
+		it('Should attach the default rubric to a new session.', async () => {
+			const res = await agent.get('/api/sessions');
+			const foundSession = res.body.find((s) => s.id === createdSessionId);
+			expect(foundSession.rubric.sections).to.be.an('array').that.is.not.empty;
+
+			const criterionIds = foundSession.rubric.sections.flatMap((section) => section.criteria.map((c) => c.id));
+			expect(criterionIds).to.have.lengthOf(18);
+			expect(criterionIds).to.include('introductionTeam');
+		});
+
+		it('Should update the grading of the session.', async () => {
+			const res = await agent.put(`/api/sessions/${createdSessionId}/grading`).send({
+				grading: { scale: 20, passMark: 10, bands: [{ label: 'Fail', min: 0 }, { label: 'Pass', min: 10 }] }
+			});
+			expect(res.status).to.equal(200);
+			expect(res.body.session.grading.bands[0].label).to.equal('Pass');
+		});
+
+		it('Should fail if the grading is invalid.', async () => {
+			const res = await agent.put(`/api/sessions/${createdSessionId}/grading`).send({
+				grading: { scale: 20, passMark: 25 }
+			});
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Pass mark must be between 0 and 20.');
+		});
+
+		it('Should fail if the rubric is invalid.', async () => {
+			const res = await agent.post('/api/sessions').send({
+				name: sessionName,
+				rubric: { sections: [{ name: 'Technical', criteria: [{ id: 'code', min: 5, max: 1 }] }] }
+			});
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Criterion "code" must have a numeric min lower than its max.');
+		});
+
+		it('Should refuse a criterion named after a submission field.', async () => {
+			for (const id of ['submittedBy', 'createdAt', 'updatedAt', 'withdrawnAt', 'history']) {
+				const res = await agent.post('/api/sessions').send({
+					name: sessionName,
+					rubric: { sections: [{ name: 'Technical', criteria: [{ id, label: 'Sneaky' }] }] }
+				});
+				expect(res.status).to.equal(400);
+				expect(res.body.error).to.equal(`Criterion id "${id}" is reserved.`);
+			}
+		});
+
 		it('Should retrieve the session just created.', async () => {
 			const res = await agent.get('/api/sessions');
 			expect(res.status).to.equal(200);
@@ -121,16 +317,274 @@ describe('UNITTESTS', () => {
 
 	describe('Juries & Students Routes:', () => {
 		it('Should add a jury to the session.', async () => {
-			const res = await agent.post(`/api/sessions/${createdSessionId}/juries`).send({ juryName });
+			const res = await agent.post(`/api/sessions/${createdSessionId}/juries`).send({ name: juryName });
 			expect(res.status).to.equal(200);
 			expect(res.body.session).to.be.an('object');
-			expect(res.body.session.juries).to.include(juryName);
+			expect(res.body.jury.id).to.be.a('string');
+			expect(res.body.session.juries.map((j) => j.name)).to.include(juryName);
+			expect(res.body.invitation.juryId).to.equal(res.body.jury.id);
+			expect(res.body.invitation.url).to.match(/\/api\/invite\/[0-9a-f]{64}$/);
+			expect(res.body.invitation).to.not.have.property('tokenHash');
+
+			createdJuryId = res.body.jury.id;
+			invitationUrl = new URL(res.body.invitation.url).pathname;
 		});
 
 		it('Should add a student to the session.', async () => {
-			const res = await agent.post(`/api/sessions/${createdSessionId}/students`).send({ studentName });
+			const res = await agent.post(`/api/sessions/${createdSessionId}/students`).send({ name: studentName });
+			expect(res.status).to.equal(200);
+			expect(res.body.student).to.include({ name: studentName, project: '', order: null });
+			expect(res.body.session.students.map((st) => st.name)).to.include(studentName);
+
+			createdStudentId = res.body.student.id;
+		});
+
+		it('Should keep students sharing a name apart.', async () => {
+			const added = await agent.post(`/api/sessions/${createdSessionId}/students`).send({ name: studentName });
+			expect(added.body.student.id).to.not.equal(createdStudentId);
+
+			const res = await agent.delete(`/api/sessions/${createdSessionId}/students/${added.body.student.id}`);
 			expect(res.status).to.equal(200);
-			expect(res.body.session.students).to.include(studentName);
+			expect(res.body.session.students.map((st) => st.id)).to.deep.equal([createdStudentId]);
+		});
+
+		it('Should edit the profile of a student.', async () => {
+			const res = await agent.patch(`/api/sessions/${createdSessionId}/students/${createdStudentId}`).send({ order: 1 });
+			expect(res.status).to.equal(200);
+			expect(res.body.student).to.include({ id: createdStudentId, name: studentName, order: 1 });
+
+			const invalid = await agent.patch(`/api/sessions/${createdSessionId}/students/${createdStudentId}`).send({ name: ' ' });
+			expect(invalid.status).to.equal(400);
+			expect(invalid.body.error).to.equal('Name is required.');
+		});
+
+		it('Should create a team from students of the session.', async () => {
+			aliceId = (await agent.post(`/api/sessions/${createdSessionId}/students`).send({ name: 'Alice' })).body.student.id;
+			bobId = (await agent.post(`/api/sessions/${createdSessionId}/students`).send({ name: 'Bob' })).body.student.id;
+
+			const res = await agent.post(`/api/sessions/${createdSessionId}/teams`).send({
+				name: 'Team Rocket',
+				projectName: 'Rocket League Stats',
+				repoUrl: 'https://github.com/example/rocket',
+				members: [aliceId, bobId]
+			});
+			expect(res.status).to.equal(200);
+			expect(res.body.team.members).to.deep.equal([aliceId, bobId]);
+
+			createdTeamId = res.body.team.id;
+		});
+
+		it('Should refuse a student who already belongs to another team.', async () => {
+			const res = await agent.post(`/api/sessions/${createdSessionId}/teams`).send({
+				name: 'Team Magma',
+				members: [bobId]
+			});
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Student "Bob" is already a member of team "Team Rocket".');
+		});
+
+		it('Should preview a student import with a per-line report.', async () => {
+			const res = await agent.post(`/api/sessions/${createdSessionId}/import`).send({
+				type: 'students',
+				dryRun: true,
+				csv: `Name;Team;Order\n${studentName};A;1\nCarol;A;first\nDave;B;2\nDave;B;3`
+			});
+			expect(res.status).to.equal(200);
+			expect(res.body.dryRun).to.equal(true);
+			expect(res.body.summary).to.deep.equal({ total: 4, valid: 1, invalid: 3 });
+			expect(res.body.rows.map((row) => row.errors)).to.deep.equal([
+				['Already in the session.'],
+				['Order must be a positive whole number.'],
+				[],
+				['Duplicate of line 4.']
+			]);
+			expect(res.body.session.students.map((st) => st.name)).to.deep.equal([studentName, 'Alice', 'Bob']);
+		});
+
+		it('Should import juries from a CSV body.', async () => {
+			const res = await agent.post(`/api/sessions/${createdSessionId}/import?type=juries`)
+				.set('Content-Type', 'text/csv')
+				.send('\uFEFF"Name","Email","Company"\r\nAda,ada@example.com,"Acme, Inc."\r\nGrace,not-an-email,Navy\r\n');
+			expect(res.status).to.equal(200);
+			expect(res.body.summary).to.deep.equal({ total: 2, valid: 1, invalid: 1 });
+			expect(res.body.rows[0].invitationUrl).to.be.a('string');
+			expect(res.body.rows[1].errors).to.deep.equal(['Email is not valid.']);
+
+			const ada = res.body.session.juries.find((j) => j.name === 'Ada');
+			expect(ada).to.include({ id: res.body.rows[0].id, email: 'ada@example.com', company: 'Acme, Inc.' });
+		});
+
+		it('Should generate a presentation schedule across rooms.', async () => {
+			const start = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+			const res = await agent.post(`/api/sessions/${createdSessionId}/schedule/generate`).send({
+				start,
+				duration: 15,
+				gap: 5,
+				rooms: ['Main stage', 'Room B']
+			});
+			expect(res.status).to.equal(200);
+
+			const { rooms, slots } = res.body.schedule;
+			expect(rooms.map((room) => room.juries.map((jury) => jury.juryName))).to.deep.equal([[juryName], ['Ada']]);
+			expect(slots).to.have.lengthOf(2);
+			expect(slots[0]).to.include({ roomName: 'Main stage', studentId: createdStudentId, start, duration: 15 });
+			expect(slots[1]).to.include({ roomName: 'Room B', teamId: createdTeamId, teamName: 'Team Rocket', start });
+
+			const invalid = await agent.post(`/api/sessions/${createdSessionId}/schedule/generate`).send({
+				start,
+				duration: 15,
+				rooms: ['A', 'B', 'C']
+			});
+			expect(invalid.status).to.equal(400);
+			expect(invalid.body.error).to.equal('Every room needs at least one jury: add juries or use fewer rooms.');
+		});
+
+		it('Should refuse a schedule with overlapping presentations.', async () => {
+			const { body: schedule } = await agent.get(`/api/sessions/${createdSessionId}/schedule`);
+			const slots = schedule.slots.map((slot) => ({ ...slot, roomId: schedule.rooms[0].id }));
+
+			const res = await agent.put(`/api/sessions/${createdSessionId}/schedule`).send({ rooms: schedule.rooms, slots });
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Two presentations overlap in room "Main stage".');
+		});
+
+		it('Should tell who a jury is watching right now.', async () => {
+			const res = await agent.get(`/api/sessions/${createdSessionId}/schedule/current?juryId=${createdJuryId}`);
+			expect(res.status).to.equal(200);
+			expect(res.body).to.include({ juryId: createdJuryId, roomName: 'Main stage' });
+			expect(res.body.current).to.include({ studentId: createdStudentId, studentName: studentName });
+			expect(res.body.next).to.equal(null);
+		});
+
+		it('Should refuse evaluations while the session is a draft.', async () => {
+			const res = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				studentId: createdStudentId,
+				...evaluationPayload
+			});
+			expect(res.status).to.equal(409);
+			expect(res.body.error).to.equal('Evaluations are only accepted while the session is open.');
+		});
+
+		it('Should open the session once its roster is ready.', async () => {
+			const res = await agent.post(`/api/sessions/${createdSessionId}/status`).send({ status: 'open' });
+			expect(res.status).to.equal(200);
+			expect(res.body.session.status).to.equal('open');
+			expect(res.body.session.statusHistory[1]).to.include({ from: 'draft', to: 'open' });
+			expect(res.body.session.statusHistory[1].by).to.be.a('string');
+		});
+	});
+
+
+	// =======================
+	// ROLE-BASED ACCESS TESTS
+	// =======================
+
+	describe('Role-based Access:', () => {
+		const juryUser = { username: 'hugo.jury', password: 'jury-password' };
+		const viewerUser = { username: 'toulouse.viewer', password: 'viewer-password' };
+		let juryAgent;
+		let viewerAgent;
+
+		before(async () => {
+			const juryAccount = await agent.post('/api/users').send({ ...juryUser, role: 'jury', juryName });
+			await agent.post('/api/users').send({ ...viewerUser, role: 'viewer' });
+			await agent.patch(`/api/sessions/${createdSessionId}/juries/${createdJuryId}`).send({ userId: juryAccount.body.user.id });
+
+			juryAgent = request.agent(app);
+			viewerAgent = request.agent(app);
+			await juryAgent.post('/api/login').send(juryUser);
+			await viewerAgent.post('/api/login').send(viewerUser);
+		});
+
+		it('Should only list assigned sessions to a jury member.', async () => {
+			const res = await juryAgent.get('/api/sessions');
+			expect(res.status).to.equal(200);
+			expect(res.body.map((s) => s.id)).to.deep.equal([createdSessionId]);
+		});
+
+		it('Should hide the contact details of the roster from jury members.', async () => {
+			const res = await juryAgent.get('/api/sessions');
+			const { juries, students } = res.body[0];
+			expect(juries.find((j) => j.name === 'Ada')).to.have.all.keys('id', 'name');
+			juries.concat(students).forEach((entry) => {
+				expect(entry).to.not.have.any.keys('email', 'company', 'userId');
+			});
+		});
+
+		it('Should forbid a jury member from submitting under another jury name.', async () => {
+			const res = await juryAgent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: 'someone-else',
+				studentId: createdStudentId,
+				...evaluationPayload
+			});
+			expect(res.status).to.equal(403);
+			expect(res.body.error).to.equal('Forbidden - Jury members can only submit their own evaluations.');
+		});
+
+		it('Should forbid session management to jury members and viewers.', async () => {
+			const juryRes = await juryAgent.post('/api/sessions').send({ name: sessionName });
+			expect(juryRes.status).to.equal(403);
+
+			const viewerRes = await viewerAgent.post(`/api/sessions/${createdSessionId}/students`).send({ name: 'Intruder' });
+			expect(viewerRes.status).to.equal(403);
+		});
+
+		it('Should let viewers read results but not jury members.', async () => {
+			const viewerRes = await viewerAgent.get('/api/resultsWithAverages');
+			expect(viewerRes.status).to.equal(200);
+
+			const juryRes = await juryAgent.get('/api/resultsWithAverages');
+			expect(juryRes.status).to.equal(403);
+		});
+	});
+
+
+	// ======================
+	// JURY INVITATIONS TESTS
+	// ======================
+
+	describe('Jury Invitations:', () => {
+		let invitedAgent;
+
+		before(() => {
+			invitedAgent = request.agent(app);
+		});
+
+		it('Should sign the jury in through the invitation link.', async () => {
+			const res = await invitedAgent.get(invitationUrl);
+			expect(res.status).to.equal(302);
+			expect(res.headers.location).to.equal(`/form.html?sessionId=${createdSessionId}`);
+
+			const sessionRes = await invitedAgent.get('/api/checkSession');
+			expect(sessionRes.body.loggedIn).to.equal(true);
+			expect(sessionRes.body.role).to.equal('jury');
+			expect(sessionRes.body.username).to.equal(juryName);
+			expect(sessionRes.body.sessionId).to.equal(createdSessionId);
+		});
+
+		it('Should only give the invited jury access to their session.', async () => {
+			const res = await invitedAgent.get('/api/sessions');
+			expect(res.status).to.equal(200);
+			expect(res.body.map((s) => s.id)).to.deep.equal([createdSessionId]);
+		});
+
+		it('Should reject an unknown invitation token.', async () => {
+			const res = await request(app).get(`/api/invite/${'0'.repeat(64)}`);
+			expect(res.status).to.equal(404);
+		});
+
+		it('Should revoke the invitation and sign the jury out.', async () => {
+			const res = await agent.delete(`/api/sessions/${createdSessionId}/invitations`).send({ juryId: createdJuryId });
+			expect(res.status).to.equal(200);
+
+			const sessionsRes = await invitedAgent.get('/api/sessions');
+			expect(sessionsRes.status).to.equal(401);
+
+			const linkRes = await request(app).get(invitationUrl);
+			expect(linkRes.status).to.equal(404);
 		});
 	});
 
@@ -140,15 +594,63 @@ describe('UNITTESTS', () => {
 	// ===========================
 
 	describe('Evaluation & Results Routes:', () => {
+		it('Should reject invalid scores with a report per field.', async () => {
+			const { questionsAnswers, ...incompletePayload } = evaluationPayload;
+			const res = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				studentId: createdStudentId,
+				...incompletePayload,
+				technologyArchitecture: '42',
+				clarity: 'great',
+				studentComments: 'x'.repeat(2001)
+			});
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Invalid evaluation.');
+			expect(res.body.details).to.deep.include.members([
+				{ field: 'technologyArchitecture', reason: 'Score must be between 0 and 5.' },
+				{ field: 'clarity', reason: 'Score must be a number.' },
+				{ field: 'questionsAnswers', reason: 'Score is required.' },
+				{ field: 'studentComments', reason: 'Comments must not exceed 2000 characters.' }
+			]);
+			expect(res.body.details).to.have.lengthOf(4);
+		});
+
 		it('Should submit an evaluation.', async () => {
 			const res = await agent.post('/api/submitEvaluation').send({
 				sessionId: createdSessionId,
-				juryName: juryName,
-				studentName: studentName,
+				juryId: createdJuryId,
+				studentId: createdStudentId,
 				...evaluationPayload
 			});
 			expect(res.status).to.equal(200);
 			expect(res.body.message).to.equal('Evaluation submitted successfully!');
+			expect(res.body.submission.id).to.be.a('string');
+			expect(res.body.submission.createdAt).to.be.a('string');
+
+			createdSubmissionId = res.body.submission.id;
+		});
+
+		it('Should refuse a second evaluation from the same jury for the same student.', async () => {
+			const res = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				studentId: createdStudentId,
+				...evaluationPayload
+			});
+			expect(res.status).to.equal(409);
+			expect(res.body.submissionId).to.equal(createdSubmissionId);
+		});
+
+		it('Should evaluate the current presenter when no student is given.', async () => {
+			const res = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				...evaluationPayload
+			});
+			expect(res.status).to.equal(409);
+			expect(res.body.error).to.equal('This jury has already evaluated this student.');
+			expect(res.body.submissionId).to.equal(createdSubmissionId);
 		});
 
 		it('Should retrieve raw submissions and aggregated data.', async () => {
@@ -161,10 +663,11 @@ describe('UNITTESTS', () => {
 			expect(sessions).to.be.an('array');
 
 			const matchingSubmission = rawSubmissions.find((sub) => {
-				return (sub.sessionId === createdSessionId && sub.juryName === juryName && sub.studentName === studentName
-				);
+				return (sub.sessionId === createdSessionId && sub.juryId === createdJuryId && sub.studentId === createdStudentId);
 			});
 			expect(matchingSubmission).to.exist;
+			expect(matchingSubmission.juryName).to.equal(juryName);
+			expect(matchingSubmission.studentName).to.equal(studentName);
 			expect(matchingSubmission.introductionTeam).to.equal(1);
 
 			const matchingAggregate = aggregated.find((agg) => {
@@ -173,22 +676,504 @@ describe('UNITTESTS', () => {
 			expect(matchingAggregate).to.exist;
 			expect(matchingAggregate.introductionTeamAvg).to.equal(1);
 		});
+
+		it('Should compute the weighted total, rank and grade band.', async () => {
+			const res = await agent.get('/api/resultsWithAverages');
+			expect(res.status).to.equal(200);
+
+			const matchingAggregate = res.body.aggregated.find((agg) => {
+				return (agg.sessionId === createdSessionId && agg.studentName === studentName);
+			});
+			expect(matchingAggregate.sectionScores.Project).to.equal(11.43);
+			expect(matchingAggregate.total).to.equal(6.48);
+			expect(matchingAggregate.rank).to.equal(1);
+			expect(matchingAggregate.band).to.equal('Fail');
+			expect(matchingAggregate.passed).to.equal(false);
+		});
+
+		it('Should combine scores with the requested statistics options.', async () => {
+			const res = await agent.get('/api/resultsWithAverages?method=median&normalize=center');
+			expect(res.status).to.equal(200);
+			expect(res.body.options).to.include({ method: 'median', normalize: 'center' });
+			expect(res.body.outliers).to.be.an('array');
+
+			const matchingAggregate = res.body.aggregated.find((agg) => agg.studentId === createdStudentId);
+			expect(matchingAggregate.spread).to.have.property('introductionTeam', null);
+
+			const invalid = await agent.get('/api/resultsWithAverages?normalize=everything');
+			expect(invalid.status).to.equal(400);
+		});
+
+		it('Should export per-student results as CSV with a BOM.', async () => {
+			const res = await agent.get(`/api/export/results.csv?sessionId=${createdSessionId}`);
+			expect(res.status).to.equal(200);
+			expect(res.headers['content-type']).to.match(/^text\/csv/);
+			expect(res.headers['content-disposition']).to.include(`results-${sessionName}.csv`);
+			expect(res.text.charCodeAt(0)).to.equal(0xFEFF);
+
+			const [header, row] = res.text.slice(1).split('\r\n');
+			expect(header).to.include('Team introduction (avg)');
+			expect(row).to.include(`${sessionName},${studentName},1,1,5`);
+		});
+
+		it('Should export raw submissions as XLSX.', async () => {
+			const res = await agent.get('/api/export/submissions.xlsx')
+				.buffer(true)
+				.parse(binaryParser);
+			expect(res.status).to.equal(200);
+			expect(res.body.slice(0, 2).toString()).to.equal('PK');
+		});
+
+		it('Should generate the PDF feedback report of a student.', async () => {
+			const res = await agent.get(`/api/sessions/${createdSessionId}/students/${createdStudentId}/report.pdf`)
+				.buffer(true)
+				.parse(binaryParser);
+			expect(res.status).to.equal(200);
+			expect(res.headers['content-type']).to.equal('application/pdf');
+			expect(res.body.slice(0, 5).toString()).to.equal('%PDF-');
+		});
+
+		it('Should generate a ZIP of every student report of the session.', async () => {
+			const res = await agent.get(`/api/sessions/${createdSessionId}/reports.zip`)
+				.buffer(true)
+				.parse(binaryParser);
+			expect(res.status).to.equal(200);
+			expect(res.body.slice(0, 2).toString()).to.equal('PK');
+			expect(res.body.includes(Buffer.from(`${studentName}.pdf`))).to.equal(true);
+		});
+
+		it('Should fail for a student without evaluations.', async () => {
+			const res = await agent.get(`/api/sessions/${createdSessionId}/students/${bobId}/report.pdf`);
+			expect(res.status).to.equal(404);
+			expect(res.body.error).to.equal('No evaluation found for this student.');
+		});
+
+		it('Should fail for an unknown export.', async () => {
+			const res = await agent.get('/api/export/everything.csv');
+			expect(res.status).to.equal(404);
+		});
+
+		it('Should retrieve the evaluation by its ID.', async () => {
+			const res = await agent.get(`/api/evaluations/${createdSubmissionId}`);
+			expect(res.status).to.equal(200);
+			expect(res.body.juryName).to.equal(juryName);
+			expect(res.body.history).to.be.an('array').that.is.empty;
+		});
+
+		it('Should update the evaluation and keep its history.', async () => {
+			const res = await agent.put(`/api/evaluations/${createdSubmissionId}`).send({
+				...evaluationPayload,
+				introductionTeam: '3'
+			});
+			expect(res.status).to.equal(200);
+			expect(res.body.submission.introductionTeam).to.equal(3);
+			expect(res.body.submission.history).to.have.lengthOf(1);
+			expect(res.body.submission.history[0].introductionTeam).to.equal(1);
+		});
+
+		it('Should withdraw the evaluation and exclude it from results.', async () => {
+			const res = await agent.delete(`/api/evaluations/${createdSubmissionId}`);
+			expect(res.status).to.equal(200);
+			expect(res.body.message).to.equal('Evaluation withdrawn successfully.');
+
+			const results = await agent.get('/api/resultsWithAverages');
+			const stillCounted = results.body.rawSubmissions.some((sub) => sub.id === createdSubmissionId);
+			expect(stillCounted).to.equal(false);
+		});
+
+		it('Should refuse an individual evaluation of a team member.', async () => {
+			const res = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				studentId: aliceId,
+				...evaluationPayload
+			});
+			expect(res.status).to.equal(400);
+			expect(res.body.error).to.equal('Student belongs to team "Team Rocket": evaluate the team instead.');
+		});
+
+		it('Should submit a team evaluation with individual scores.', async () => {
+			const res = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				teamId: createdTeamId,
+				...evaluationPayload,
+				memberScores: { [aliceId]: { audibles: '4', clarity: '3' } }
+			});
+			expect(res.status).to.equal(200);
+			expect(res.body.submission.teamId).to.equal(createdTeamId);
+			expect(res.body.submission.memberScores).to.deep.equal({ [aliceId]: { audibles: 4, clarity: 3 } });
+		});
+
+		it('Should report team aggregates and each member\'s derived result.', async () => {
+			const res = await agent.get('/api/resultsWithAverages');
+			expect(res.status).to.equal(200);
+
+			const team = res.body.teams.find((t) => t.teamId === createdTeamId);
+			expect(team.teamName).to.equal('Team Rocket');
+			expect(team.introductionTeamAvg).to.equal(1);
+			expect(team).to.not.have.property('audiblesAvg');
+
+			const alice = res.body.aggregated.find((agg) => agg.studentName === 'Alice');
+			const bob = res.body.aggregated.find((agg) => agg.studentName === 'Bob');
+			expect(alice.teamId).to.equal(createdTeamId);
+			expect(alice.introductionTeamAvg).to.equal(1);
+			expect(alice.audiblesAvg).to.equal(4);
+			expect(bob.introductionTeamAvg).to.equal(1);
+			expect(bob.audiblesAvg).to.equal(null);
+		});
+
+		it('Should report the evaluations still missing in the session.', async () => {
+			const res = await agent.get(`/api/sessions/${createdSessionId}/progress`);
+			expect(res.status).to.equal(200);
+
+			// The schedule puts the student before the first jury and the team before the second one.
+			const hugo = res.body.juries.find((j) => j.juryId === createdJuryId);
+			expect(hugo).to.include({ submitted: 0, expected: 1, percent: 0 });
+
+			const fabien = res.body.students.find((st) => st.studentId === createdStudentId);
+			expect(fabien).to.include({ submitted: 0, expected: 1, percent: 0 });
+			expect(res.body.overall).to.deep.equal({ submitted: 0, expected: 3, percent: 0 });
+			expect(res.body.outstanding).to.deep.include({
+				juryId: createdJuryId,
+				juryName,
+				studentId: createdStudentId,
+				studentName,
+				teamId: null,
+				teamName: null
+			});
+			expect(res.body.matrix.find((row) => row.studentId === aliceId).cells[0]).to.include({ expected: false, submitted: true });
+			expect(res.body.outstanding.some((pair) => pair.juryId === createdJuryId && pair.studentId === aliceId)).to.equal(false);
+		});
+
+		it('Should expect every jury to evaluate every student without a schedule.', async () => {
+			const { body: schedule } = await agent.get(`/api/sessions/${createdSessionId}/schedule`);
+			expect((await agent.delete(`/api/sessions/${createdSessionId}/schedule`)).status).to.equal(200);
+
+			const res = await agent.get(`/api/sessions/${createdSessionId}/progress`);
+			expect(res.body.juries.find((j) => j.juryId === createdJuryId)).to.include({ submitted: 2, expected: 3, percent: 66.7 });
+			expect(res.body.overall).to.deep.equal({ submitted: 2, expected: 6, percent: 33.3 });
+
+			const restored = await agent.put(`/api/sessions/${createdSessionId}/schedule`).send({ rooms: schedule.rooms, slots: schedule.slots });
+			expect(restored.status).to.equal(200);
+		});
+
+		it('Should keep evaluations linked to a renamed student.', async () => {
+			const res = await agent.patch(`/api/sessions/${createdSessionId}/students/${aliceId}`).send({ name: 'Alicia' });
+			expect(res.status).to.equal(200);
+
+			const results = await agent.get('/api/resultsWithAverages');
+			const alicia = results.body.aggregated.find((agg) => agg.studentId === aliceId);
+			expect(alicia.studentName).to.equal('Alicia');
+			expect(alicia.audiblesAvg).to.equal(4);
+		});
 	});
 
 
+	// ==================
+	// LIVE RESULTS TESTS
+	// ==================
+
+	describe('Live Results:', () => {
+		let server;
+		let stream;
+
+		before(async () => {
+			server = app.listen(0);
+			const login = await request(server).post('/api/login').send(validCampusUser);
+
+			stream = await new Promise((resolve) => {
+				http.get({
+					port: server.address().port,
+					path: `/api/sessions/${createdSessionId}/events`,
+					headers: { Cookie: login.headers['set-cookie'].map((c) => c.split(';')[0]).join('; ') }
+				}, resolve);
+			});
+		});
+
+		after(() => {
+			stream.destroy();
+			server.close();
+		});
+
+		it('Should open the stream with a snapshot of the session.', async () => {
+			expect(stream.headers['content-type']).to.match(/^text\/event-stream/);
+
+			const { snapshot } = await waitForEvent(stream, 'snapshot');
+			const alicia = snapshot.students.find((st) => st.studentId === aliceId);
+			expect(snapshot.juryCount).to.equal(2);
+			expect(alicia.juries).to.deep.include({ juryId: createdJuryId, juryName, submitted: true });
+			expect(alicia.submittedCount).to.equal(1);
+			expect(alicia.total).to.be.a('number');
+			expect(snapshot.criteria).to.deep.include({ id: 'audibles', label: 'Audibility' });
+			expect(alicia.averages.audibles).to.equal(4);
+		});
+
+		it('Should push a fresh snapshot when the roster changes.', async () => {
+			const received = waitForEvent(stream, 'roster');
+			await agent.patch(`/api/sessions/${createdSessionId}/students/${bobId}`).send({ name: 'Robert' });
+
+			const { action, snapshot } = await received;
+			expect(action).to.equal('student-updated');
+			expect(snapshot.students.map((st) => st.studentName)).to.include('Robert');
+		});
+	});
+
+
+	// =======================
+	// SESSION LIFECYCLE TESTS
+	// =======================
+
+	describe('Session Lifecycle:', () => {
+		const setStatus = (status) => agent.post(`/api/sessions/${createdSessionId}/status`).send({ status });
+		let viewerAgent;
+
+		before(async () => {
+			viewerAgent = request.agent(app);
+			await viewerAgent.post('/api/login').send({ username: 'toulouse.viewer', password: 'viewer-password' });
+		});
+
+		it('Should refuse to skip a state.', async () => {
+			const res = await setStatus('published');
+			expect(res.status).to.equal(409);
+			expect(res.body.error).to.equal('A session cannot go from open to published.');
+		});
+
+		it('Should refuse to go back to draft once evaluated.', async () => {
+			const res = await setStatus('draft');
+			expect(res.status).to.equal(409);
+		});
+
+		it('Should freeze evaluations and rosters once closed.', async () => {
+			expect((await setStatus('closed')).status).to.equal(200);
+
+			const evaluation = await agent.post('/api/submitEvaluation').send({
+				sessionId: createdSessionId,
+				juryId: createdJuryId,
+				studentId: createdStudentId,
+				...evaluationPayload
+			});
+			expect(evaluation.status).to.equal(409);
+
+			const roster = await agent.post(`/api/sessions/${createdSessionId}/students`).send({ name: 'Latecomer' });
+			expect(roster.status).to.equal(409);
+			expect(roster.body.error).to.equal('Juries, students and teams can only be changed while the session is a draft or open.');
+		});
+
+		it('Should only show results to viewers once published.', async () => {
+			const unpublished = await viewerAgent.get('/api/resultsWithAverages');
+			expect(unpublished.body.sessions.some((s) => s.id === createdSessionId)).to.equal(false);
+
+			const hiddenProgress = await viewerAgent.get(`/api/sessions/${createdSessionId}/progress`);
+			expect(hiddenProgress.status).to.equal(403);
+
+			expect((await setStatus('published')).status).to.equal(200);
+
+			const published = await viewerAgent.get('/api/resultsWithAverages');
+			expect(published.body.sessions.some((s) => s.id === createdSessionId)).to.equal(true);
+
+			const progress = await viewerAgent.get(`/api/sessions/${createdSessionId}/progress`);
+			expect(progress.status).to.equal(200);
+		});
+
+		it('Should refuse to delete a published session.', async () => {
+			const res = await agent.delete(`/api/sessions/${createdSessionId}`);
+			expect(res.status).to.equal(409);
+			expect(res.body.error).to.equal('Published sessions cannot be deleted: unpublish them first.');
+
+			const sessions = await agent.get('/api/sessions');
+			expect(sessions.body.some((s) => s.id === createdSessionId)).to.equal(true);
+		});
+
+		it('Should end the live stream of a viewer once the results are unpublished.', async () => {
+			const server = app.listen(0);
+			const login = await request(server).post('/api/login').send({ username: 'toulouse.viewer', password: 'viewer-password' });
+			const stream = await new Promise((resolve) => {
+				http.get({
+					port: server.address().port,
+					path: `/api/sessions/${createdSessionId}/events`,
+					headers: { Cookie: login.headers['set-cookie'].map((c) => c.split(';')[0]).join('; ') }
+				}, resolve);
+			});
+
+			await waitForEvent(stream, 'snapshot');
+			const received = waitForEvent(stream, 'session');
+			const ended = new Promise((resolve) => stream.on('end', resolve));
+			expect((await setStatus('closed')).status).to.equal(200);
+
+			const { snapshot, reason } = await received;
+			expect(snapshot).to.equal(null);
+			expect(reason).to.equal('hidden');
+			await ended;
+			server.close();
+		});
+
+		it('Should reopen the session through the closed state.', async () => {
+			const res = await setStatus('open');
+			expect(res.status).to.equal(200);
+			expect(res.body.session.statusHistory.map((entry) => entry.to)).to.deep.equal(['draft', 'open', 'closed', 'published', 'closed', 'open']);
+		});
+	});
+
+
+	// ===============
+	// AUDIT LOG TESTS
+	// ===============
+
+	describe('Audit Log:', () => {
+		it('Should record who changed what, with the document before and after.', async () => {
+			const res = await agent.get(`/api/audit?sessionId=${createdSessionId}&action=session.create`);
+			expect(res.status).to.equal(200);
+			expect(res.body).to.have.lengthOf(1);
+			expect(res.body[0]).to.include({ campus, method: 'POST', route: '/api/sessions', before: null });
+			expect(res.body[0].actor.username).to.equal(validCampusUser.username);
+			expect(res.body[0].after.name).to.equal(sessionName);
+			expect(res.body[0].ip).to.be.a('string');
+		});
+
+		it('Should filter the audit log by kind of action, newest first.', async () => {
+			const res = await agent.get(`/api/audit?sessionId=${createdSessionId}&action=session.status`);
+			expect(res.body.map((entry) => entry.after.status)).to.deep.equal(['open', 'closed', 'published', 'closed', 'open']);
+			expect(res.body[0].before.status).to.equal('closed');
+
+			const submitted = await agent.get('/api/audit?action=evaluation.');
+			expect(submitted.body.some((entry) => entry.action === 'evaluation.submit' && entry.after.id === createdSubmissionId)).to.equal(true);
+
+			const invalid = await agent.get('/api/audit?limit=0');
+			expect(invalid.status).to.equal(400);
+
+			const repeated = await agent.get('/api/audit?action=session.create&action=session.status');
+			expect(repeated.status).to.equal(400);
+			expect(repeated.body.error).to.equal('"action" must be given once, as plain text.');
+		});
+
+		it('Should export the audit log as JSON Lines.', async () => {
+			const res = await agent.get(`/api/audit.jsonl?sessionId=${createdSessionId}`);
+			expect(res.status).to.equal(200);
+			expect(res.headers['content-type']).to.match(/^application\/x-ndjson/);
+			expect(res.headers['content-disposition']).to.include('audit-log.jsonl');
+
+			const entries = res.text.trim().split('\n').map((line) => JSON.parse(line));
+			expect(entries.every((entry) => entry.sessionId === createdSessionId)).to.equal(true);
+			expect(entries[entries.length - 1].action).to.equal('session.create');
+		});
+	});
+
+	// =======================
+	// NETWORK REPORTING TESTS
+	// =======================
+
+	describe('Network Reporting:', () => {
+		// SuperTest agent logged in as the network administrator.
+		let networkAgent;
+
+		before(async () => {
+			networkAgent = request.agent(app);
+			await networkAgent.post('/api/login').send({ username: 'network.admin', password: 'demoday-network' });
+		});
+
+		it('Should reserve the network report to network administrators.', async () => {
+			const res = await agent.get('/api/network/report');
+			expect(res.status).to.equal(403);
+
+			const created = await agent.post('/api/users').send({ username: 'toulouse.network', password: 'network-password', role: 'network-admin' });
+			expect(created.status).to.equal(400);
+
+			const sessions = await networkAgent.get('/api/sessions');
+			expect(sessions.body).to.deep.equal([]);
+
+			const forbidden = await networkAgent.get('/api/resultsWithAverages');
+			expect(forbidden.status).to.equal(403);
+		});
+
+		it('Should report participation, criterion averages and distributions per campus.', async () => {
+			const res = await networkAgent.get('/api/network/report');
+			expect(res.status).to.equal(200);
+			expect(res.body.campuses.map((c) => c.campus)).to.deep.equal(['Lyon', 'Toulouse']);
+
+			const lyon = res.body.campuses[0];
+			expect(lyon.participation).to.include({ sessions: 1, juries: 1, activeJuries: 1, students: 1, evaluatedStudents: 1, evaluations: 1 });
+			expect(lyon.participation.completion).to.deep.equal({ submitted: 1, expected: 1, percent: 100 });
+
+			const clarity = lyon.criteria.find((c) => c.id === 'clarity');
+			expect(clarity).to.include({ count: 1, average: 5, averagePercent: 100 });
+			expect(clarity.distribution.map((bin) => bin.count)).to.deep.equal([0, 0, 0, 0, 1]);
+
+			expect(res.body.network.participation.evaluations).to.equal(
+				res.body.campuses.reduce((sum, c) => sum + c.participation.evaluations, 0)
+			);
+		});
+
+		it('Should filter the network report by date range and campus.', async () => {
+			const res = await networkAgent.get('/api/network/report?from=2025-03-01&to=2025-03-14');
+			expect(res.status).to.equal(200);
+			expect(res.body.period.to).to.equal('2025-03-14T23:59:59.999Z');
+			expect(res.body.campuses.map((c) => c.campus)).to.deep.equal(['Lyon']);
+
+			const toulouse = await networkAgent.get(`/api/network/report?campus=${campus}&to=2025-12-31`);
+			expect(toulouse.body.campuses).to.deep.equal([]);
+			expect(toulouse.body.network.participation.sessions).to.equal(0);
+
+			const invalid = await networkAgent.get('/api/network/report?from=2025-06-01&to=2025-01-01');
+			expect(invalid.status).to.equal(400);
+
+			const malformed = await networkAgent.get('/api/network/report?from=yesterday');
+			expect(malformed.status).to.equal(400);
+		});
+	});
+
 	// ==================
 	// CLEANUP PROCEDURES
 	// ==================
 
 	describe('Cleanup Routes:', () => {
-		it('Should remove the jury from the session.', async () => {
-			const res = await agent.delete(`/api/sessions/${createdSessionId}/juries`).send({ juryName });
+		// Will store the trash item of the deleted session.
+		let sessionTrashId;
+
+		it('Should refuse to remove a student only evaluated with their team.', async () => {
+			const res = await agent.delete(`/api/sessions/${createdSessionId}/students/${bobId}`);
+			expect(res.status).to.equal(409);
+			expect(res.body.evaluationCount).to.equal(1);
+
+			const session = (await agent.get('/api/sessions')).body.find((s) => s.id === createdSessionId);
+			expect(session.teams.find((t) => t.id === createdTeamId).members).to.include(bobId);
+		});
+
+		it('Should refuse to remove a jury who has submitted evaluations.', async () => {
+			const res = await agent.delete(`/api/sessions/${createdSessionId}/juries/${createdJuryId}`);
+			expect(res.status).to.equal(409);
+			expect(res.body.evaluationCount).to.equal(1);
+		});
+
+		it('Should remove the jury and their evaluations once confirmed.', async () => {
+			const res = await agent.delete(`/api/sessions/${createdSessionId}/juries/${createdJuryId}?cascade=true`);
 			expect(res.status).to.equal(200);
 			expect(res.body.message).to.equal('Jury deleted successfully.');
+
+			const results = await agent.get('/api/resultsWithAverages');
+			expect(results.body.teams.some((t) => t.teamId === createdTeamId)).to.equal(false);
+
+			const trash = await agent.get('/api/trash');
+			expect(trash.body.find((item) => item.id === res.body.trashId)).to.include({ type: 'jury', name: juryName, submissionCount: 1 });
+		});
+
+		it('Should restore the jury and their evaluations from the trash.', async () => {
+			const trash = await agent.get('/api/trash');
+			const item = trash.body.find((t) => t.type === 'jury' && t.name === juryName);
+
+			const res = await agent.post(`/api/trash/${item.id}/restore`);
+			expect(res.status).to.equal(200);
+			expect(res.body.session.juries.map((j) => j.id)).to.include(createdJuryId);
+
+			const results = await agent.get('/api/resultsWithAverages');
+			expect(results.body.teams.some((t) => t.teamId === createdTeamId)).to.equal(true);
+
+			const removed = await agent.delete(`/api/sessions/${createdSessionId}/juries/${createdJuryId}?cascade=true`);
+			expect(removed.status).to.equal(200);
 		});
 
 		it('Should remove the student from the session.', async () => {
-			const res = await agent.delete(`/api/sessions/${createdSessionId}/students`).send({ studentName });
+			const res = await agent.delete(`/api/sessions/${createdSessionId}/students/${createdStudentId}`);
 			expect(res.status).to.equal(200);
 			expect(res.body.message).to.equal('Student deleted successfully.');
 		});
@@ -197,6 +1182,8 @@ describe('UNITTESTS', () => {
 			const res = await agent.delete(`/api/sessions/${createdSessionId}`).send();
 			expect(res.status).to.equal(200);
 			expect(res.body.message).to.equal('Session deleted successfully.');
+
+			sessionTrashId = res.body.trashId;
 		});
 
 		it('Should confirm the session is no longer returned.', async () => {
@@ -205,6 +1192,22 @@ describe('UNITTESTS', () => {
 			const stillExists = res.body.some((s) => s.id === createdSessionId);
 			expect(stillExists).to.equal(false);
 		});
+
+		it('Should restore the session from the trash, then delete it for good.', async () => {
+			const res = await agent.post(`/api/trash/${sessionTrashId}/restore`);
+			expect(res.status).to.equal(200);
+			expect(res.body.session.id).to.equal(createdSessionId);
+
+			await agent.delete(`/api/sessions/${createdSessionId}`);
+			const trash = await agent.get('/api/trash');
+			const item = trash.body.find((t) => t.sessionId === createdSessionId && t.type === 'session');
+
+			const purged = await agent.delete(`/api/trash/${item.id}`);
+			expect(purged.status).to.equal(200);
+
+			const restored = await agent.post(`/api/trash/${item.id}/restore`);
+			expect(restored.status).to.equal(404);
+		});
 	});
 
 
@@ -224,8 +1227,9 @@ describe('UNITTESTS', () => {
 			expect(res.body.loggedIn).to.equal(false);
 		});
 
-		// Add a newline for better readability in test output.
+		// Remove the throwaway database and add a newline for better readability in test output.
 		after(() => {
+			fs.unlinkSync(testDbPath);
 			console.log();
 		});
 	});
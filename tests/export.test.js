@@ -0,0 +1,33 @@
+// ============
+// EXPORT TESTS
+// ============
+
+// Third-party libraries
+const { expect } = require('chai');
+
+// Local modules
+const { toCsv } = require('../server/export');
+
+describe('EXPORT', () => {
+	describe('CSV:', () => {
+		it('Should quote cells holding separators, quotes or line breaks.', () => {
+			const csv = toCsv({ columns: ['Student', 'Comments'], rows: [['Ada', 'Clear, "confident"\nspeaker']] });
+			expect(csv).to.equal('\uFEFFStudent,Comments\r\nAda,"Clear, ""confident""\nspeaker"\r\n');
+		});
+
+		it('Should neutralize text a spreadsheet would run as a formula.', () => {
+			const csv = toCsv({
+				columns: ['Student', 'Comments', 'Score'],
+				rows: [
+					['@Ada', '=HYPERLINK("http://example.com","Click")', -1],
+					['+Bob', '-great demo', 2],
+					['Eve', '\tTabbed', 3]
+				]
+			});
+			const rows = csv.slice(1).split('\r\n');
+			expect(rows[1]).to.equal('\'@Ada,"\'=HYPERLINK(""http://example.com"",""Click"")",-1');
+			expect(rows[2]).to.equal('\'+Bob,\'-great demo,2');
+			expect(rows[3]).to.equal('Eve,\'\tTabbed,3');
+		});
+	});
+});
@@ -0,0 +1,41 @@
+// ===================
+// ROSTER IMPORT TESTS
+// ===================
+
+// Third-party libraries
+const { expect } = require('chai');
+
+// Local modules
+const { parseRoster, validateRoster } = require('../server/roster_import');
+
+describe('ROSTER IMPORT', () => {
+	describe('Parsing:', () => {
+		it('Should report the line each entry starts on, across multi-line cells.', () => {
+			const text = 'Name,Email,Company\r\n"Jane\r\nDoe",jane@example.com,"Acme\nLabs"\r\nJohn,john@example.com,Initech\r\n';
+			const entries = parseRoster('juries', text);
+			expect(entries.map((entry) => entry.line)).to.deep.equal([2, 5]);
+			expect(entries[0].fields.company).to.equal('Acme\nLabs');
+		});
+	});
+
+	describe('Validation:', () => {
+		it('Should catch duplicate names and emails regardless of case and spacing.', () => {
+			const entries = [
+				{ line: 2, fields: { name: 'Jane Doe', email: 'Jane@x.com' } },
+				{ line: 3, fields: { name: 'jane  doe', email: 'other@x.com' } },
+				{ line: 4, fields: { name: 'Janet', email: 'jane@x.com' } },
+				{ line: 5, fields: { name: 'ADA', email: 'new@x.com' } },
+				{ line: 6, fields: { name: 'Grace', email: 'GRACE@x.com' } }
+			];
+			const roster = [{ name: 'Ada ', email: 'ada@x.com' }, { name: 'Hopper', email: 'grace@x.com' }];
+
+			expect(validateRoster(entries, roster).map((entry) => entry.errors)).to.deep.equal([
+				[],
+				['Duplicate of line 2.'],
+				['Email duplicates line 2.'],
+				['Already in the session.'],
+				['Email is already in the session.']
+			]);
+		});
+	});
+});
@@ -0,0 +1,101 @@
+// ================
+// STATISTICS TESTS
+// ================
+
+// Third-party libraries
+const { expect } = require('chai');
+
+// Local modules
+const {
+	DEFAULT_OPTIONS,
+	aggregateScores,
+	parseStatisticsOptions,
+	normalizeRows,
+	criteriaSpread,
+	findOutliers
+} = require('../server/statistics');
+
+describe('STATISTICS', () => {
+	const criterion = { id: 'clarity', min: 0, max: 5 };
+
+	describe('Aggregation:', () => {
+		it('Should combine scores with the chosen method.', () => {
+			const scores = [1, 4, 4, 5, 0];
+			expect(aggregateScores(scores, DEFAULT_OPTIONS)).to.equal(2.8);
+			expect(aggregateScores(scores, { method: 'median' })).to.equal(4);
+			expect(aggregateScores(scores, { method: 'trimmed', trim: 0.2 })).to.equal(3);
+		});
+
+		it('Should drop the highest and lowest scores of small panels when trimming.', () => {
+			expect(aggregateScores([0, 3, 5], { method: 'trimmed', trim: 0.2 })).to.equal(3);
+			expect(aggregateScores([0, 2, 4, 5], { method: 'trimmed', trim: 0.2 })).to.equal(3);
+			expect(aggregateScores([0, 5], { method: 'trimmed', trim: 0.2 })).to.equal(2.5);
+			expect(aggregateScores([0, 3, 5], { method: 'trimmed', trim: 0 })).to.equal(8 / 3);
+		});
+
+		it('Should refuse unknown options.', () => {
+			expect(parseStatisticsOptions({ method: 'mode' }).error).to.equal('Method must be one of: mean, median, trimmed.');
+			expect(parseStatisticsOptions({ trim: '0.5' }).error).to.equal('Trim must be a fraction from 0 up to 0.5.');
+			expect(parseStatisticsOptions({ normalize: 'zscore' }).options).to.include({ method: 'mean', normalize: 'zscore' });
+		});
+	});
+
+	describe('Calibration:', () => {
+		// A harsh and a lenient jury who agree on which student did better.
+		const rows = [
+			{ sessionId: 's1', juryId: 'harsh', studentId: 'a', clarity: 1 },
+			{ sessionId: 's1', juryId: 'harsh', studentId: 'b', clarity: 2 },
+			{ sessionId: 's1', juryId: 'lenient', studentId: 'a', clarity: 4 },
+			{ sessionId: 's1', juryId: 'lenient', studentId: 'b', clarity: 5 }
+		];
+
+		it('Should center each jury on the panel average.', () => {
+			const centered = normalizeRows(rows, { s1: [criterion] }, 'center');
+			expect(centered.map((row) => row.clarity)).to.deep.equal([2.5, 3.5, 2.5, 3.5]);
+			expect(rows[0].clarity).to.equal(1);
+		});
+
+		it('Should report the spread of the juries per criterion.', () => {
+			expect(criteriaSpread([criterion], rows.filter((row) => row.studentId === 'a'))).to.deep.equal({ clarity: 1.5 });
+			expect(criteriaSpread([criterion], rows.slice(0, 1))).to.deep.equal({ clarity: null });
+		});
+	});
+
+	describe('Outliers:', () => {
+		it('Should flag the evaluation far from the rest of the panel.', () => {
+			const rows = [
+				{ id: 'e1', sessionId: 's1', juryId: 'j1', studentId: 'a', clarity: 4 },
+				{ id: 'e2', sessionId: 's1', juryId: 'j2', studentId: 'a', clarity: 4 },
+				{ id: 'e3', sessionId: 's1', juryId: 'j3', studentId: 'a', clarity: 0 }
+			];
+
+			const outliers = findOutliers([{ criteria: [criterion], rows }], 0.25);
+			expect(outliers).to.have.lengthOf(1);
+			expect(outliers[0]).to.include({ submissionId: 'e3', juryId: 'j3', deviation: 0.8 });
+			expect(outliers[0].criteria).to.deep.equal(['clarity']);
+		});
+
+		it('Should flag a jury whose deviations go both ways.', () => {
+			const energy = { id: 'energy', min: 0, max: 5 };
+			const rows = [
+				{ id: 'e1', sessionId: 's1', juryId: 'j1', studentId: 'a', clarity: 3, energy: 3 },
+				{ id: 'e2', sessionId: 's1', juryId: 'j2', studentId: 'a', clarity: 3, energy: 3 },
+				{ id: 'e3', sessionId: 's1', juryId: 'j3', studentId: 'a', clarity: 5, energy: 0 }
+			];
+
+			const outliers = findOutliers([{ criteria: [criterion, energy], rows }], 0.25);
+			expect(outliers).to.have.lengthOf(1);
+			expect(outliers[0]).to.include({ submissionId: 'e3', deviation: 0.5 });
+			expect(outliers[0].criteria).to.deep.equal(['clarity', 'energy']);
+		});
+
+		it('Should not flag anything with fewer than three evaluations.', () => {
+			const rows = [
+				{ id: 'e1', sessionId: 's1', juryId: 'j1', studentId: 'a', clarity: 5 },
+				{ id: 'e2', sessionId: 's1', juryId: 'j2', studentId: 'a', clarity: 0 }
+			];
+
+			expect(findOutliers([{ criteria: [criterion], rows }], 0.25)).to.deep.equal([]);
+		});
+	});
+});
@@ -0,0 +1,125 @@
+// =============
+// STORAGE TESTS
+// =============
+
+// System modules
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Third-party libraries
+const { expect } = require('chai');
+
+// Local modules
+const { createStorage } = require('../server/storage');
+
+describe('STORAGE', () => {
+	let tempDir;
+
+	before(() => {
+		tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'demoday-storage-'));
+	});
+
+	after(() => {
+		fs.rmSync(tempDir, { recursive: true, force: true });
+	});
+
+	describe('JSON Backend:', () => {
+		it('Should create an empty database when the file is missing.', () => {
+			const storage = createStorage('json', path.join(tempDir, 'missing.json'));
+			const data = storage.load();
+			expect(data.sessions).to.deep.equal([]);
+			expect(data.users).to.deep.equal([]);
+		});
+
+		it('Should save and reload data without leaving temporary files.', () => {
+			const filePath = path.join(tempDir, 'db.json');
+			const storage = createStorage('json', filePath);
+			const data = storage.load();
+
+			data.sessions.push({ id: 's1', name: 'C#22' });
+			storage.save(data);
+
+			expect(createStorage('json', filePath).load().sessions).to.deep.equal([{ id: 's1', name: 'C#22' }]);
+			expect(fs.readdirSync(tempDir).filter((f) => f.endsWith('.tmp'))).to.be.empty;
+		});
+
+		it('Should give ids to legacy submissions.', () => {
+			const filePath = path.join(tempDir, 'legacy.json');
+			fs.writeFileSync(filePath, JSON.stringify({ sessions: [], submissions: [{ sessionId: 's1' }] }));
+
+			const storage = createStorage('json', filePath);
+			const data = storage.load();
+			expect(data.submissions[0].id).to.be.a('string');
+			expect(data.invitations).to.deep.equal([]);
+			expect(storage.wasUpgraded()).to.equal(true);
+		});
+
+		it('Should not count missing empty collections as an upgrade.', () => {
+			const filePath = path.join(tempDir, 'baseline.json');
+			fs.writeFileSync(filePath, JSON.stringify({ sessions: [], submissions: [{ id: 'e1', sessionId: 's1' }] }));
+
+			const storage = createStorage('json', filePath);
+			expect(storage.load().users).to.deep.equal([]);
+			expect(storage.wasUpgraded()).to.equal(false);
+		});
+
+		it('Should give ids to rosters stored as names and relink their evaluations.', () => {
+			const filePath = path.join(tempDir, 'roster.json');
+			fs.writeFileSync(filePath, JSON.stringify({
+				sessions: [{
+					id: 's1',
+					campus: 'Toulouse',
+					juries: ['Hugo', 'Hugo'],
+					students: ['Fabien', 'Alice'],
+					teams: [],
+					studentDetails: { Alice: { team: 'Rocket', order: 2 } },
+					juryDetails: { Hugo: { email: 'hugo@example.com' } }
+				}],
+				submissions: [{ id: 'e1', sessionId: 's1', juryName: 'Hugo', studentName: 'Fabien' }],
+				invitations: [{ id: 'i1', sessionId: 's1', juryName: 'Hugo' }]
+			}));
+
+			const data = createStorage('json', filePath).load();
+			const [session] = data.sessions;
+			const [hugo] = session.juries;
+			const [fabien, alice] = session.students;
+
+			expect(session.juries).to.have.lengthOf(1);
+			expect(hugo).to.include({ name: 'Hugo', email: 'hugo@example.com', userId: null });
+			expect(alice).to.include({ name: 'Alice', order: 2 });
+			expect(session.teams[0]).to.include({ name: 'Rocket' });
+			expect(session.teams[0].members).to.deep.equal([alice.id]);
+			expect(session).to.not.have.property('studentDetails');
+			expect(data.submissions[0]).to.deep.equal({ id: 'e1', sessionId: 's1', juryId: hugo.id, studentId: fabien.id });
+			expect(data.invitations[0]).to.deep.equal({ id: 'i1', sessionId: 's1', juryId: hugo.id });
+		});
+
+		it('Should refuse a database with an invalid shape.', () => {
+			const filePath = path.join(tempDir, 'invalid.json');
+			fs.writeFileSync(filePath, JSON.stringify({ sessions: {} }));
+
+			expect(() => createStorage('json', filePath).load()).to.throw('Invalid database: "sessions" must be an array.');
+		});
+	});
+
+	describe('SQLite Backend:', () => {
+		it('Should save, update and delete documents.', () => {
+			const filePath = path.join(tempDir, 'db.sqlite');
+			const storage = createStorage('sqlite', filePath);
+			const data = storage.load();
+
+			data.sessions.push({ id: 's1', name: 'C#22' }, { id: 's2', name: 'C#23' });
+			storage.save(data);
+
+			data.sessions[0].name = 'C#22 bis';
+			data.sessions.splice(1, 1);
+			storage.save(data);
+			storage.close();
+
+			const reopened = createStorage('sqlite', filePath);
+			expect(reopened.load().sessions).to.deep.equal([{ id: 's1', name: 'C#22 bis' }]);
+			reopened.close();
+		});
+	});
+});